@@ -18,3 +18,6 @@ exports.Connection = require('./src/FSM.js');
 exports.Datapoint = require('./src/Datapoint.js');
 //exports.Devices = require('./src/devices');
 exports.Log = require('./src/KnxLog.js');
+exports.Keyring = require('./src/KnxKeyring.js');
+exports.Discovery = require('./src/KnxDiscovery.js');
+exports.Errors = require('./src/KnxErrors.js');
@@ -1,43 +1,253 @@
 const dgram = require("dgram");
+const { once } = require("events");
+const ipaddr = require("ipaddr.js");
 const machina = require("machina");
 const util = require("util");
 
+const KnxAddress = require("./Address.js");
 const KnxConstants = require("./KnxConstants.js");
+const KnxDataSecure = require("./KnxDataSecure.js");
 const KnxDatagram = require("./KnxDatagram.js");
+const KnxDiscovery = require("./KnxDiscovery.js");
+const KnxErrors = require("./KnxErrors.js");
 const KnxLog = require("./KnxLog.js");
+const KnxOutboundQueue = require("./KnxOutboundQueue.js");
+const KnxPendingRequests = require("./KnxPendingRequests.js");
+const KnxSecureRouting = require("./KnxSecureRouting.js");
+const KnxSecureSession = require("./KnxSecureSession.js");
+const KnxTcpSocket = require("./KnxTcpSocket.js");
+
+// setTimeout cannot wait any longer
+const MAX_DELAY = 2147483647;
+
+// timing options in milliseconds and their lower bounds
+const TIMINGS = {
+  searchTimeout: 1,
+  connectTimeout: 1,
+  heartbeatInterval: 1,
+  connectionStateTimeout: 1,
+  ackTimeout: 1,
+  telegramInterval: 0,
+  disconnectTimeout: 1,
+  failbackInterval: 1,
+};
+const RETRIES = ["heartbeatRetries", "ackRetries"];
+
+const checkNumber = (name, value, min, max = Infinity) => {
+  if (typeof value !== "number" || isNaN(value) || value < min || value > max)
+    throw new Error(
+      util.format("Invalid option %s: %j (%d..%d)", name, value, min, max)
+    );
+};
+
+const validateOptions = (options) => {
+  Object.entries(TIMINGS).forEach(([name, min]) => {
+    checkNumber(name, options[name], min, MAX_DELAY);
+  });
+  RETRIES.forEach((name) => {
+    checkNumber(name, options[name], 0);
+    if (!Number.isInteger(options[name]))
+      throw new Error(
+        util.format("Invalid option %s: %j", name, options[name])
+      );
+  });
+  const reconnect = options.reconnect;
+  checkNumber("reconnect.initialDelay", reconnect.initialDelay, 0, MAX_DELAY);
+  checkNumber(
+    "reconnect.maxDelay",
+    reconnect.maxDelay,
+    reconnect.initialDelay,
+    MAX_DELAY
+  );
+  checkNumber("reconnect.multiplier", reconnect.multiplier, 1);
+  checkNumber("reconnect.jitter", reconnect.jitter, 0, 1);
+  checkNumber("reconnect.maxAttempts", reconnect.maxAttempts, 0);
+  checkNumber("telegramsPerSecond", options.telegramsPerSecond, 0);
+  checkNumber("maxQueueLength", options.maxQueueLength, 1);
+  const gateways = options.gateways;
+  if (
+    gateways !== null &&
+    gateways !== "discover" &&
+    !(Array.isArray(gateways) && gateways.length > 0)
+  )
+    throw new Error(util.format("Invalid option gateways: %j", gateways));
+  Object.entries(options.priorities).forEach(([groupAddress, priority]) => {
+    if (!(priority in PRIORITY))
+      throw new Error(
+        util.format("Invalid priority %j for %s", priority, groupAddress)
+      );
+  });
+};
+
+// cEMI control field priorities
+const PRIORITY = { system: 0, normal: 1, urgent: 2, low: 3 };
 
 module.exports = machina.Fsm.extend({
   initialize: function (options) {
     this._options = Object.assign(
       {
         remoteEndpoint: null,
+        // individual address of the gateway to connect to, shorthand for
+        // selectGateway: { individualAddress }; null for the first gateway
         physServerAddr: "1.1.220",
+        // which of the gateways answering our search to connect to:
+        // "first", "freeTunnel", { name, serialNumber, macAddress,
+        // individualAddress, freeTunnel } or a function (gateway) => boolean
+        selectGateway: null,
+        // failover: an ordered list of gateways ("addr:port" or
+        // { addr, port }), the first one being the primary, or "discover"
+        // to search for another one when the gateway in use fails
+        gateways: null,
         twoLevelAddressing: false,
-        // physServerAddr: "1.1.020",
+        // false: use KNXnet/IP routing (multicast) instead of a tunnel
+        use_tunneling: true,
+        // tunneling transport: "udp" or "tcp" (KNXnet/IP tunneling v2)
+        transport: "udp",
+        // tunnel on the busmonitor layer: receive-only, every frame on the
+        // line is reported as a 'monitor' event
+        busmonitor: false,
+        // "tunnel", or "management" for cEMI property services on the
+        // KNXnet/IP interface itself
+        connectionType: "tunnel",
+        // KNX IP Secure tunnel credentials:
+        // { userId, userPassword, deviceAuthenticationCode }
+        secureTunnel: null,
+        // KNX IP Secure routing: { backboneKey, latencyTolerance }
+        secureRouting: null,
+        // KNX Data Secure: { groupKeys: { "1/2/3": key }, sequenceNumber }
+        dataSecure: null,
+        // search with a SEARCH_REQUEST_EXT (KNXnet/IP 2.0), true or
+        // { programmingMode, macAddress, serviceFamilies, dibs }
+        extendedSearch: null,
+        // local UDP ports of the control and data sockets (0: any free port)
+        localControlPort: 0,
+        localDataPort: 0,
+        // tunnel over a data socket of its own instead of the control socket,
+        // implied by dataEndpoint or localDataPort
+        separateDataSocket: false,
+        // endpoints to advertise in our HPAIs instead of route back
+        // (0.0.0.0:0), "addr:port" or { addr, port }, e.g. the host side of a
+        // NAT port mapping; without a port the local one of the socket is used
+        controlEndpoint: null,
+        dataEndpoint: null,
+        // network interface (name or local address) for all our sockets and
+        // the multicast membership
+        interface: null,
+        // search on these interfaces instead, "all" for every IPv4 interface
+        interfaces: null,
+        // timings in milliseconds
+        searchTimeout: 15000,
+        connectTimeout: 15000,
+        heartbeatInterval: 45000,
+        connectionStateTimeout: 10000,
+        ackTimeout: 1000,
+        // pause after every telegram
+        telegramInterval: 50,
+        disconnectTimeout: 10000,
+        // how often to check whether the primary gateway is back
+        failbackInterval: 60000,
+        // failed CONNECTIONSTATE_REQUESTs and unacknowledged tunneling
+        // requests retried before giving up on the connection
+        heartbeatRetries: 3,
+        ackRetries: 1,
+        // resolve writes once their L_Data.con confirms they reached the bus,
+        // not already on the TUNNELING_ACK of the interface
+        waitForConfirmation: false,
+        // outbound pacing, 0 for no limit besides telegramInterval
+        telegramsPerSecond: 0,
+        // requests waiting to be sent, more are rejected with a QueueFullError
+        maxQueueLength: Infinity,
+        // cEMI priority of the telegrams to some group addresses, e.g.
+        // { "1/2/3": "urgent" }; they are sent before those of lower priority
+        priorities: {},
+        // a write replaces a queued, not yet sent write to the same group
+        // address, whose promise then resolves with "superseded"
+        coalesceWrites: false,
         loglevel: "info",
       },
       options
     );
+    // exponential backoff between connection attempts, +/- jitter
+    this._options.reconnect = Object.assign(
+      {
+        initialDelay: 2000,
+        maxDelay: 60000,
+        multiplier: 2,
+        jitter: 0.2,
+        maxAttempts: Infinity,
+      },
+      this._options.reconnect
+    );
+    validateOptions(this._options);
+
+    if (this._options.connectionType === "management") {
+      // management connections are always point to point
+      this._options.use_tunneling = true;
+    }
+
+    if (this._options.secureTunnel) {
+      // secure sessions are only supported over TCP
+      this._options.transport = "tcp";
+    }
 
     this.log = KnxLog.get(options);
 
+    this._dataSecure = this._options.dataSecure
+      ? new KnxDataSecure(this._options)
+      : null;
+
+    this._selectGateway = KnxDiscovery.gatewaySelector(
+      this._options.selectGateway ||
+        (this._options.physServerAddr && !this._isSelectiveSearch()
+          ? { individualAddress: this._options.physServerAddr }
+          : "first"),
+      this._options
+    );
+
     this._connStateTimer = null;
     this._connStateRequestTimer = null;
 
-    this._discoverSocket = null; // for discovery
+    // failover candidates, the primary one first
+    this._gateways = Array.isArray(this._options.gateways)
+      ? this._options.gateways.map(KnxDiscovery.toEndpoint)
+      : [];
+    this._gatewayIndex = 0;
+    // discovered gateways that failed, skipped by the next search
+    this._failedGateways = new Set();
+    this._failbackTimer = null;
+    this._failingOver = false;
+    this._failingBack = false;
+
+    this._stopSearch = null; // ends a running discovery
     this._controlSocket = null; // for control
     this._dataSocket = null; // for tunnel requests
+    this._routingSocket = null; // for routing indications
 
     this._channelID = null;
+    this._awaitingConnectResponse = false;
     this._connectionHeartbeatFailures = 0;
+    this._reconnectAttempts = 0;
+    this._online = false;
+    this._closing = false; // disconnect() was called
+
+    // outgoing L_Data.req waiting for their L_Data.con
+    this._pendingConfirmations = [];
+
+    // requests waiting for their ACK, L_Data.con or response
+    this._pending = new KnxPendingRequests();
+
+    // GroupValue_Read in flight per group address, shared by its readers
+    this._pendingReads = new Map();
+
+    this._outboundQueue = new KnxOutboundQueue(this._options);
+    this._outboundQueue.on("ready", () => this._drainQueue());
+
+    // assigned to our tunnel by the server in the CONNECT_RESPONSE
+    this.individualAddress = null;
 
     this._inboundSeqNum = 0;
     this._outboundSeqNum = 0;
 
-    this._remoteDiscoverEndpoint = {
-      addr: null,
-      port: null,
-    };
     this._remoteControlEndpoint = {
       addr: null,
       port: null,
@@ -46,6 +256,10 @@ module.exports = machina.Fsm.extend({
       addr: null,
       port: null,
     };
+    this._remoteRoutingEndpoint = {
+      addr: "224.0.23.12",
+      port: 3671,
+    };
   },
 
   namespace: "knxnet",
@@ -63,37 +277,91 @@ module.exports = machina.Fsm.extend({
 
     idle: {
       _onEnter: function () {
+        this._failingOver = false;
+        if (this._closing) {
+          this.transition("closed");
+          return;
+        }
         this.log.info("State %s", this.state);
+        this._online = false;
         this.emit("offline");
 
-        // kill control endpoint
-        if (this._controlSocket) {
-          this._controlSocket.close();
-          this._controlSocket = null;
-        }
-
+        this._closeSockets();
+        this._stopFailback();
         this._channelID = null;
 
         // wait => searching
+        let delay = this._options.reconnect.initialDelay;
+        if (this._failingBack) {
+          // the primary gateway just answered
+          delay = 0;
+        } else if (this.priorState !== "uninitialized") {
+          delay = this._reconnectDelay();
+          if (delay === null) {
+            this.log.warn(
+              "Giving up after %d connection attempts",
+              this._reconnectAttempts
+            );
+            this.emit("reconnect_failed", this._reconnectAttempts);
+            return;
+          }
+          this.log.info("Reconnecting in %d ms", delay);
+          this.emit("reconnecting", delay, this._reconnectAttempts);
+        }
         this.timer = setTimeout(() => {
           this.handle("startsearch");
-        }, 2000);
+        }, delay);
+      },
+      startsearch: function () {
+        this.transition(this._options.use_tunneling ? "searching" : "routing");
       },
-      startsearch: "searching",
+      disconnect: "closed",
       _onExit: function () {
         clearTimeout(this.timer);
       },
     },
 
+    // after disconnect(): no sockets, timers or reconnects until connect()
+    closed: {
+      _onEnter: function () {
+        this.log.info("State %s", this.state);
+        this._online = false;
+        this._failingOver = false;
+        this.emit("offline");
+        this._release();
+        this.emit("closed");
+      },
+      startsearch: function () {
+        this.transition(this._options.use_tunneling ? "searching" : "routing");
+      },
+      disconnect: function () {},
+    },
+
+    routing: {
+      _onEnter: function () {
+        this.log.info("State %s", this.state);
+
+        // routing is connectionless: join the multicast group and go online
+        this._startRouting();
+        this.transition("connected");
+      },
+    },
+
     searching: {
       _onEnter: function () {
         this.log.info("State %s", this.state);
 
         this.timer = setTimeout(() => {
           this.handle("timeout");
-        }, 15000);
+        }, this._options.searchTimeout);
 
-        if (!this._options.remoteEndpoint) {
+        const gateway = this._nextGateway();
+        this._failingBack = false;
+        if (gateway) {
+          this.log.info("Using gateway %s:%d", gateway.addr, gateway.port);
+          this._remoteControlEndpoint = Object.assign({}, gateway);
+          this.transition("connecting");
+        } else if (!this._options.remoteEndpoint) {
           this._startSearch();
         } else {
           this.log.info(
@@ -108,51 +376,80 @@ module.exports = machina.Fsm.extend({
           this.transition("connecting");
         }
       },
-      // create discovery/control endpoint
-      // SEARCH_REQUEST
-      inbound_SEARCH_RESPONSE: function (datagram) {
+      // a gateway answered our SEARCH_REQUEST
+      inbound_SEARCH_RESPONSE: function (gateway) {
+        const endpoint = util.format(
+          "%s:%d",
+          gateway.endpoint.addr,
+          gateway.endpoint.port
+        );
         this.log.info(
           "Got search response from %s (%s, %s, %s)",
-          datagram.hpai.tunnelEndpoint,
-          datagram.devinfo.physicalAddr,
-          datagram.devinfo.serial,
-          datagram.devinfo.name
+          endpoint,
+          gateway.individualAddress,
+          gateway.serialNumber,
+          gateway.name
+        );
+        if (this._failedGateways.has(endpoint)) {
+          this.log.info("Skipping failed gateway %s", endpoint);
+          return;
+        }
+        this._selectGateway(gateway).then(
+          (selected) => {
+            if (selected) {
+              this.handle("gateway_selected", gateway);
+            } else {
+              this.log.info(
+                "Ignoring device with physical address %s (%s, %s, %s)",
+                gateway.individualAddress,
+                endpoint,
+                gateway.serialNumber,
+                gateway.name
+              );
+            }
+          },
+          (err) => this.log.warn("Gateway selection failed: %s", err)
+        );
+      },
+      // the first gateway picked by options.selectGateway
+      gateway_selected: function (gateway) {
+        this.log.notice(
+          "Using device with physical address %s (%s:%d, %s, %s)",
+          gateway.individualAddress,
+          gateway.endpoint.addr,
+          gateway.endpoint.port,
+          gateway.serialNumber,
+          gateway.name
         );
+        this._remoteControlEndpoint = Object.assign({}, gateway.endpoint);
+        this.log.trace("%s", this._remoteControlEndpoint);
         if (
-          !this._options.physServerAddr ||
-          datagram.devinfo.physicalAddr === this._options.physServerAddr
+          this._options.gateways === "discover" &&
+          this._gateways.length === 0
         ) {
-          this.log.notice(
-            "Using device with physical address %s (%s, %s, %s)",
-            datagram.devinfo.physicalAddr,
-            datagram.hpai.tunnelEndpoint,
-            datagram.devinfo.serial,
-            datagram.devinfo.name
-          );
-          const ipinfo = datagram.hpai.tunnelEndpoint.split(":");
-          this._remoteControlEndpoint = {
-            addr: ipinfo[0],
-            port: ipinfo[1],
-          };
-          this.log.trace("%s", this._remoteControlEndpoint);
-
-          this.transition("connecting");
-        } else {
-          this.log.info(
-            "Ignoring device with physical address %s (%s, %s, %s)",
-            datagram.devinfo.physicalAddr,
-            datagram.hpai.tunnelEndpoint,
-            datagram.devinfo.serial,
-            datagram.devinfo.name
-          );
+          this._gateways.push(this._remoteControlEndpoint);
         }
+
+        this.transition("connecting");
+      },
+      timeout: function () {
+        // nothing else answered: every gateway gets another chance
+        this._failedGateways.clear();
+        this._connectFailed(
+          "SEARCH_TIMEOUT",
+          util.format(
+            "No gateway found within %d ms",
+            this._options.searchTimeout
+          )
+        );
+        this.transition("idle");
       },
-      timeout: "idle",
+      disconnect: "closed",
       _onExit: function () {
         clearTimeout(this.timer);
-        if (this._discoverSocket) {
-          this._discoverSocket.close();
-          this._discoverSocket = null;
+        if (this._stopSearch) {
+          this._stopSearch();
+          this._stopSearch = null;
         }
       },
     },
@@ -163,38 +460,78 @@ module.exports = machina.Fsm.extend({
 
         this.timer = setTimeout(() => {
           this.handle("timeout");
-        }, 15000);
+        }, this._options.connectTimeout);
 
+        this._awaitingConnectResponse = false;
         this._startConnect();
       },
 
-      disconnect: "disconnecting",
+      // no channel to close yet
+      disconnect: "closed",
+      // the TCP connection was refused or the secure session failed
+      connection_closed: function (err) {
+        this._connectFailed(
+          "CONNECTION_CLOSED",
+          util.format(
+            "Connection to %s:%d closed before the CONNECT_RESPONSE%s",
+            this._remoteControlEndpoint.addr,
+            this._remoteControlEndpoint.port,
+            err ? ": " + err.message : ""
+          )
+        );
+        this._failover();
+        this.transition("idle");
+      },
 
       inbound_CONNECT_RESPONSE(datagram) {
         this.log.info("got connect response");
-        if (
-          "connstate" in datagram &&
-          datagram.connstate.status ===
-            KnxConstants.RESPONSECODE.E_NO_MORE_CONNECTIONS
-        ) {
-          try {
-            this.socket.close();
-          } catch (error) {}
-          this.transition("idle");
-          this.log.warn(
-            "The KNXnet/IP server rejected the data connection (Maximum connections reached)"
+        this._awaitingConnectResponse = false;
+        const status = datagram.connstate.status;
+        if (status !== KnxConstants.RESPONSECODE.NO_ERROR) {
+          const reason =
+            KnxConstants.keyText("RESPONSECODE", status) ||
+            util.format("0x%s", status.toString(16));
+          this._connectFailed(
+            reason,
+            status === KnxConstants.RESPONSECODE.E_NO_MORE_CONNECTIONS
+              ? "The KNXnet/IP server rejected the data connection (Maximum connections reached)"
+              : util.format(
+                  "The KNXnet/IP server rejected the data connection (%s)",
+                  reason
+                )
           );
+          this._failover();
+          this.transition("idle");
         } else {
           // store channel ID into the Connection object
           this._channelID = datagram.connstate.channelId;
+          this._setRemoteDataEndpoint(datagram.hpai);
+          if (datagram.crd && datagram.crd.knxAddress) {
+            this._setIndividualAddress(datagram.crd.knxAddress);
+          }
           this.transition("connected");
         }
       },
 
-      timeout: "disconnecting",
+      timeout: function () {
+        this._connectFailed(
+          "CONNECT_TIMEOUT",
+          util.format(
+            "No CONNECT_RESPONSE from %s:%d within %d ms",
+            this._remoteControlEndpoint.addr,
+            this._remoteControlEndpoint.port,
+            this._options.connectTimeout
+          )
+        );
+        this._failover();
+        this.transition("disconnecting");
+      },
 
       _onExit: function () {
         clearTimeout(this.timer);
+        if (this._awaitingConnectResponse && !this._isTcp()) {
+          this._lingerControlSocket();
+        }
       },
 
       // create data control endpoint
@@ -206,13 +543,19 @@ module.exports = machina.Fsm.extend({
         this.log.info("State %s", this.state);
 
         this._connectionHeartbeatFailures = 0;
+        this._reconnectAttempts = 0;
 
         this._inboundSeqNum = 0;
         this._outboundSeqNum = 0;
-
-        this._connStateRequestTimer = setInterval(() => {
-          this.handle("outbound_CONNECTIONSTATE_REQUEST");
-        }, 45000);
+        this._online = true;
+        this._startFailback();
+
+        // over TCP the connection itself tells us when the server is gone
+        if (this._options.use_tunneling && !this._isTcp()) {
+          this._connStateRequestTimer = setInterval(() => {
+            this.handle("outbound_CONNECTIONSTATE_REQUEST");
+          }, this._options.heartbeatInterval);
+        }
 
         this.emit("online");
         this.transition("online");
@@ -235,7 +578,7 @@ module.exports = machina.Fsm.extend({
 
         this.timer = setTimeout(() => {
           this.handle("timeout");
-        }, 50);
+        }, this._options.telegramInterval);
       },
 
       "inbound_TUNNELING_REQUEST_L_Data.con"(datagram) {
@@ -244,6 +587,18 @@ module.exports = machina.Fsm.extend({
       "inbound_TUNNELING_REQUEST_L_Data.ind"(datagram) {
         this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
       },
+      "inbound_TUNNELING_REQUEST_L_Busmon.ind"(datagram) {
+        this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
+      },
+      inbound_DEVICE_CONFIGURATION_REQUEST(datagram) {
+        this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
+      },
+      "inbound_ROUTING_INDICATION_L_Data.ind"(datagram) {
+        this._emitCemiEvents(datagram.cemi);
+      },
+      inbound_DISCONNECT_REQUEST(datagram) {
+        this._onDisconnectRequest(datagram);
+      },
 
       disconnect: "disconnecting",
       timeout: "online",
@@ -262,76 +617,81 @@ module.exports = machina.Fsm.extend({
     online: {
       _onEnter: function () {
         this.log.info("State %s", this.state);
+        this._drainQueue();
       },
       disconnect: "disconnecting",
-      inbound_DISCONNECT_REQUEST(datagram) {
-        //        let dg = this.prepareDatagram(
-        //        KnxConstants.SERVICE_TYPE.DISCONNECT_RESPONSE
-        //    );
-        //  this.send(this._controlSocket, this._remoteControlEndpoint, dg);
-        clearInterval(this._connStateRequestTimer);
+      // the primary gateway answers again
+      failback: function () {
+        this.log.info("Primary gateway is back, switching over");
+        this._gatewayIndex = 0;
+        this._failingBack = true;
+        this.transition("disconnecting");
+      },
+      connection_closed: function () {
+        this.log.warn("TCP connection closed by the server");
         this.transition("idle");
       },
+      inbound_DISCONNECT_REQUEST(datagram) {
+        this._onDisconnectRequest(datagram);
+      },
       "inbound_TUNNELING_REQUEST_L_Data.con"(datagram) {
         this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
       },
       "inbound_TUNNELING_REQUEST_L_Data.ind"(datagram) {
         this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
       },
+      "inbound_TUNNELING_REQUEST_L_Busmon.ind"(datagram) {
+        this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
+      },
+      inbound_DEVICE_CONFIGURATION_REQUEST(datagram) {
+        this.transition("inbound_TUNNELING_REQUEST_L_Data", datagram);
+      },
+      "inbound_ROUTING_INDICATION_L_Data.ind"(datagram) {
+        this._emitCemiEvents(datagram.cemi);
+      },
       outbound_CONNECTIONSTATE_REQUEST: "outbound_CONNECTIONSTATE_REQUEST",
       outbound_TUNNELING_REQUEST(datagram) {
         this.transition("outbound_TUNNELING_REQUEST", datagram);
       },
+      outbound_DEVICE_CONFIGURATION_REQUEST(datagram) {
+        // acknowledged and sequenced just like tunneling requests
+        this.transition("outbound_TUNNELING_REQUEST", datagram);
+      },
+      outbound_ROUTING_INDICATION(datagram) {
+        this.log.trace("ROUTING_INDICATION =>>");
+        // routing indications are unconfirmed, there is no ACK to wait for
+        datagram.send(this._routingSocket, this._remoteRoutingEndpoint);
+        this._pending.ack(datagram.uuid, "NO_ERROR");
+        this.transition("waiting");
+      },
     },
 
     inbound_TUNNELING_REQUEST_L_Data: {
       _onEnter: function (datagram) {
         this.log.info("State %s", this.state);
-        if (
+        if (this._isTcp()) {
+          // TCP is reliable: no TUNNELING_ACK and no sequence checks
+          this._emitCemiEvents(datagram.cemi);
+        } else if (
           datagram.tunnstate.seqnum === this._inboundSeqNum ||
           datagram.tunnstate.seqnum === (this._inboundSeqNum + 255) % 256
         ) {
           const ack = this._prepareKnxDatagram(
-            KnxConstants.SERVICE_TYPE.TUNNELING_ACK,
+            this._isManagement()
+              ? KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_ACK
+              : KnxConstants.SERVICE_TYPE.TUNNELING_ACK,
             datagram
           );
           /* acknowledge by copying the inbound datagram's sequence counter */
           ack.setSeqNum(datagram.tunnstate.seqnum);
-          ack.send(
-            this._controlSocket,
-            this._remoteControlEndpoint,
-            ack,
-            (err) => {
-              this.log.warn("Error while sending ACK: %s", err);
-            }
-          );
+          this._sendData(ack, (err) => {
+            if (err) this.log.warn("Error while sending ACK: %s", err);
+          });
 
           if (datagram.tunnstate.seqnum === this._inboundSeqNum) {
             this._inboundSeqNum = (this._inboundSeqNum + 1) % 256;
 
-            const evtName = datagram.cemi.apdu.apci;
-            const destAddr = datagram.cemi.destAddr;
-            this.log.info("Got event %s for %s", evtName, destAddr);
-
-            this.emit(
-              util.format("%s_%s", evtName, destAddr),
-              datagram.cemi.srcAddr,
-              datagram.cemi.apdu.data
-            );
-            this.emit(
-              util.format("event_%s", destAddr),
-              evtName,
-              datagram.cemi.srcAddr,
-              datagram.cemi.apdu.data
-            );
-
-            this.emit(
-              "event",
-              evtName,
-              datagram.cemi.srcAddr,
-              datagram.cemi.destAddr,
-              datagram.cemi.apdu.data
-            );
+            this._emitCemiEvents(datagram.cemi);
           }
         } else {
           // IGNORE
@@ -363,12 +723,13 @@ module.exports = machina.Fsm.extend({
 
         this._connStateTimer = setTimeout(() => {
           this.handle("inbound_CONNECTIONSTATE_RESPONSE", null);
-        }, 10000);
+        }, this._options.connectionStateTimeout);
 
-        const dg = this._prepareKnxDatagram(
-          KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_REQUEST
+        this._sendControl(
+          this._prepareKnxDatagram(
+            KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_REQUEST
+          )
         );
-        dg.send(this._controlSocket, this._remoteControlEndpoint);
       },
 
       inbound_CONNECTIONSTATE_RESPONSE(datagram) {
@@ -391,13 +752,19 @@ module.exports = machina.Fsm.extend({
             this._connectionHeartbeatFailures++;
           }
         }
-        if (this._connectionHeartbeatFailures > 3) {
+        if (
+          this._connectionHeartbeatFailures > this._options.heartbeatRetries
+        ) {
+          this._failover();
           this.transition("disconnecting");
         }
         setImmediate(() => {
           this.handle("send_CONNECTIONSTATE_REQUEST");
         });
       },
+      inbound_DISCONNECT_REQUEST(datagram) {
+        this._onDisconnectRequest(datagram);
+      },
       ok: "waiting",
       "*": function (data) {
         this.log.trace(
@@ -427,14 +794,24 @@ module.exports = machina.Fsm.extend({
       send_TUNNELING_REQUEST() {
         this.log.trace("TUNNELING_REQUEST =>>");
 
+        if (this._isTcp()) {
+          // TCP is reliable: the server does not send a TUNNELING_ACK
+          this._sendData(this._outboundDatagram);
+          this._outboundSeqNum = (this._outboundSeqNum + 1) % 256;
+          this._pending.ack(this._outboundDatagram.uuid, "NO_ERROR");
+          this.handle("ok");
+          return;
+        }
+
         this._ackTimer = setTimeout(() => {
           this.handle("inbound_TUNNELING_ACK", null);
-        }, 1000);
+        }, this._options.ackTimeout);
 
-        this._outboundDatagram.send(
-          this._controlSocket,
-          this._remoteControlEndpoint
-        );
+        this._sendData(this._outboundDatagram);
+      },
+
+      inbound_DEVICE_CONFIGURATION_ACK(datagram) {
+        this.handle("inbound_TUNNELING_ACK", datagram);
       },
 
       inbound_TUNNELING_ACK(datagram) {
@@ -461,10 +838,7 @@ module.exports = machina.Fsm.extend({
 
               this._outboundSeqNum = (this._outboundSeqNum + 1) % 256;
 
-              this.emit(
-                util.format("ReceivedAck_%s", this._outboundDatagram.uuid),
-                responseCode
-              );
+              this._pending.ack(this._outboundDatagram.uuid, responseCode);
 
               this.handle("ok");
               return;
@@ -481,13 +855,11 @@ module.exports = machina.Fsm.extend({
             return;
           }
         }
-        if (this._outboundFailures > 1) {
-          this.emit(
-            util.format("ReceivedAck_%s", this._outboundDatagram.uuid),
-            responseCode
-          );
+        if (this._outboundFailures > this._options.ackRetries) {
+          this._pending.ack(this._outboundDatagram.uuid, responseCode);
 
           this.log.warn("ACK errors, disconnecting");
+          this._failover();
           this.transition("disconnecting");
           return;
         }
@@ -495,6 +867,9 @@ module.exports = machina.Fsm.extend({
           this.handle("send_TUNNELING_REQUEST");
         });
       },
+      inbound_DISCONNECT_REQUEST(datagram) {
+        this._onDisconnectRequest(datagram);
+      },
       ok: "waiting",
       "*": function (data) {
         this.log.trace(
@@ -514,81 +889,311 @@ module.exports = machina.Fsm.extend({
 
     disconnecting: {
       _onEnter: function () {
-        // purge all pending requests when we want to disconnect
         this.clearQueue();
+        if (this._closing) {
+          // purge all pending requests when we want to disconnect
+          this._outboundQueue.clear().forEach((request) => {
+            this._pending.ack(
+              request.data.uuid,
+              new Error("Disconnected before the request was sent")
+            );
+          });
+        } else {
+          // reconnecting: what is queued goes out over the next connection
+          this._pending.abort(
+            new KnxErrors.ConnectionError("CONNECTION_LOST", "Connection lost"),
+            this._outboundQueue.ids()
+          );
+        }
         this.log.info("State %s", this.state);
         clearInterval(this._connStateRequestTimer);
 
+        if (!this._options.use_tunneling || this._channelID === null) {
+          // no channel, nothing to tear down on the server side
+          this.transition(this._closing ? "closed" : "idle");
+          return;
+        }
+
+        if (this._failingOver) {
+          // no use waiting for a response from a gateway that failed
+          this._failingOver = false;
+          this._sendFinal(
+            this._prepareKnxDatagram(
+              KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST
+            )
+          );
+          this.transition("idle");
+          return;
+        }
+
         this.timer = setTimeout(() => {
           this.handle("timeout");
-        }, 10000);
+        }, this._options.disconnectTimeout);
 
-        const dg = this._prepareKnxDatagram(
-          KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST
+        this._sendControl(
+          this._prepareKnxDatagram(KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST)
         );
-        dg.send(this._controlSocket, this._remoteControlEndpoint);
       },
       inbound_DISCONNECT_RESPONSE(datagram) {
-        this.transition("idle");
+        this.transition(this._closing ? "closed" : "idle");
+      },
+      // the server closed the channel at the same time as we did
+      inbound_DISCONNECT_REQUEST(datagram) {
+        this._onDisconnectRequest(datagram);
+      },
+      connection_closed: function () {
+        this.transition(this._closing ? "closed" : "idle");
+      },
+      timeout: function () {
+        this.transition(this._closing ? "closed" : "idle");
       },
-      timeout: "idle",
       _onExit: function () {
         clearTimeout(this.timer);
       },
     },
   },
 
+  // only the gateways we are looking for answer an extended search by MAC
+  // address or programming mode
+  _isSelectiveSearch: function () {
+    const search = this._options.extendedSearch;
+    return Boolean(search && (search.macAddress || search.programmingMode));
+  },
+
   _startSearch: function () {
-    this._remoteDiscoverEndpoint.addr = "224.0.23.12";
-    this._remoteDiscoverEndpoint.port = 3671;
+    this._stopSearch = KnxDiscovery.startSearch(this._options, (gateway) =>
+      this.handle("inbound_SEARCH_RESPONSE", gateway)
+    );
+  },
 
+  _startRouting: function () {
     const socket = dgram.createSocket({
       type: "udp4",
       reuseAddr: true,
     });
 
-    socket.on("error", () => {
-      this.log.warn("search socket error => idle?");
-    });
+    const localAddress = this._localAddress();
     socket.on("listening", () => {
-      socket.addMembership("224.0.23.12");
+      // multicast goes out and comes in on the chosen interface
+      if (localAddress) socket.setMulticastInterface(localAddress);
+      socket.addMembership(
+        this._remoteRoutingEndpoint.addr,
+        localAddress || undefined
+      );
+      // don't receive our own routing indications
+      socket.setMulticastLoopback(false);
     });
-    socket.on("message", (msg, rinfo, callback) => {
-      this.log.info(
-        "Inbound multicast message from " +
+
+    let routingSocket = socket;
+    if (this._options.secureRouting) {
+      routingSocket = new KnxSecureRouting(
+        socket,
+        this._options,
+        this._remoteRoutingEndpoint
+      );
+      routingSocket.on("drop", (reason, rinfo) => {
+        this.emit("secure_drop", reason, rinfo.address);
+      });
+    }
+
+    routingSocket.on("error", () => {
+      this.log.warn("routing socket error => idle?");
+    });
+    routingSocket.on("message", (msg, rinfo, callback) => {
+      this.log.trace(
+        "Inbound routing message from " +
           rinfo.address +
           ": " +
           msg.toString("hex")
       );
-      const response = KnxDatagram.parseKnxMessage(
-        this._channelID,
+      const dg = KnxDatagram.parseKnxMessage(
+        null,
         msg,
         rinfo,
         this._options,
         callback
       );
-      if (response !== null) {
-        this.log.trace("%j", response.datagram);
-
-        if (response.datagram.hpai.tunnelEndpoint === "0.0.0.0:0") {
-          response.datagram.hpai.tunnelEndpoint = util.format(
-            "%s:%s",
-            rinfo.address,
-            rinfo.port
+      if (dg === null) return;
+      switch (dg.datagram.serviceType) {
+        case KnxConstants.SERVICE_TYPE.ROUTING_BUSY:
+          this._onRoutingBusy(dg.datagram.busy);
+          break;
+        case KnxConstants.SERVICE_TYPE.ROUTING_LOST_MESSAGE:
+          this._onRoutingLostMessage(dg.datagram.lostMessage);
+          break;
+        default:
+          this.handle(
+            util.format("inbound_%s", dg.datagramDesc()),
+            dg.datagram
           );
-        }
-
-        this.handle("inbound_" + response.datagramDesc(), response.datagram);
       }
     });
-    socket.bind();
-    this._discoverSocket = socket;
+    this._routingFlow = { busyCount: 0, lastBusy: -Infinity, resumeAt: 0 };
+    socket.bind(this._remoteRoutingEndpoint.port);
+    this._routingSocket = routingSocket;
+  },
 
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.SEARCH_REQUEST
+  // routing flow control: stop sending for the announced wait time plus a
+  // random share of N * 50 ms, N counting the recent ROUTING_BUSY frames
+  _onRoutingBusy: function (busy) {
+    const flow = this._routingFlow;
+    const now = Date.now();
+    // N goes down by one every 5 ms once we sent N * 100 ms without one
+    const slowUntil = flow.resumeAt + flow.busyCount * 100;
+    if (now > slowUntil) {
+      flow.busyCount = Math.max(
+        0,
+        flow.busyCount - Math.floor((now - slowUntil) / 5)
+      );
+    }
+    // routers report the same congestion at about the same time
+    if (now - flow.lastBusy > 10) flow.busyCount++;
+    flow.lastBusy = now;
+
+    const pause = busy.waitTime + Math.random() * flow.busyCount * 50;
+    flow.resumeAt = Math.max(flow.resumeAt, now + pause);
+    this._outboundQueue.pause(flow.resumeAt - now);
+    this.log.warn(
+      "Router busy, pausing for %d ms (N=%d)",
+      flow.resumeAt - now,
+      flow.busyCount
+    );
+    this.emit("routing_busy", busy.waitTime, flow.busyCount);
+  },
+
+  _onRoutingLostMessage: function (lost) {
+    this.log.warn("Router lost %d messages", lost.lostMessages);
+    this.emit("routing_lost_message", lost.lostMessages, lost.deviceState);
+  },
+
+  _emitCemiEvents: function (cemi) {
+    if (this._isManagement()) {
+      this._emitManagementEvent(cemi);
+      return;
+    }
+    if (cemi.msgcode === KnxConstants.MESSAGECODES["L_Busmon.ind"]) {
+      this._emitMonitorEvent(cemi);
+      return;
+    }
+    // the confirmation of our own write is no news from the bus
+    if (
+      cemi.msgcode === KnxConstants.MESSAGECODES["L_Data.con"] &&
+      this._confirm(cemi)
+    ) {
+      return;
+    }
+    if (this._dataSecure) {
+      try {
+        cemi = this._dataSecure.unsecure(cemi);
+      } catch (err) {
+        this.log.warn(
+          "Dropping telegram from %s to %s: %s",
+          cemi.srcAddr,
+          cemi.destAddr,
+          err.message
+        );
+        this.emit("secure_drop", err.message, cemi.srcAddr);
+        return;
+      }
+    }
+    const evtName = cemi.apdu.apci;
+    const destAddr = cemi.destAddr;
+    this.log.info("Got event %s for %s", evtName, destAddr);
+
+    const event = util.format("%s_%s", evtName, destAddr);
+    this.emit(event, cemi.srcAddr, cemi.apdu.data);
+    this._pending.respond(event, cemi.srcAddr, cemi.apdu.data);
+    this.emit(
+      util.format("event_%s", destAddr),
+      evtName,
+      cemi.srcAddr,
+      cemi.apdu.data
+    );
+
+    this.emit("event", evtName, cemi.srcAddr, cemi.destAddr, cemi.apdu.data);
+  },
+
+  // settle the oldest request waiting for this L_Data.con, false if none
+  _confirm: function (cemi) {
+    const index = this._pendingConfirmations.findIndex(
+      (pending) =>
+        pending.destAddr === cemi.destAddr &&
+        pending.apdu.equals(cemi.apdu.apduRaw)
+    );
+    if (index === -1) return false;
+    const [pending] = this._pendingConfirmations.splice(index, 1);
+    this._pending.confirm(pending.uuid, cemi.ctrl.confirm === 0);
+    return true;
+  },
+
+  _dropConfirmation: function (uuid) {
+    this._pendingConfirmations = this._pendingConfirmations.filter(
+      (pending) => pending.uuid !== uuid
+    );
+  },
+
+  // only tunnels confirm L_Data.req, routing indications are fire and forget
+  _needsConfirmation: function (dg) {
+    return (
+      this._options.waitForConfirmation &&
+      dg.datagram.serviceType === KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST &&
+      dg.datagram.cemi.msgcode === KnxConstants.MESSAGECODES["L_Data.req"]
+    );
+  },
+
+  _emitManagementEvent: function (cemi) {
+    const evtName = KnxConstants.keyText("MESSAGECODES", cemi.msgcode);
+    this.log.info("Got %s for property %d", evtName, cemi.propertyId);
+    if (cemi.propertyId !== null) {
+      const event = util.format(
+        "%s_%d_%d_%d",
+        evtName,
+        cemi.objectType,
+        cemi.objectInstance,
+        cemi.propertyId
+      );
+      this.emit(event, cemi);
+      // requests for other elements of the same property wait for theirs;
+      // the element count is 0 in a negative confirmation, no use matching it
+      this._pending.respond(util.format("%s_%d", event, cemi.startIndex), cemi);
+    }
+    this.emit("management", evtName, cemi);
+  },
+
+  _emitMonitorEvent: function (cemi) {
+    const frame = Object.assign(
+      {
+        status: cemi.addinfo.status || null,
+        timestamp:
+          cemi.addinfo.extendedTimestamp !== undefined
+            ? cemi.addinfo.extendedTimestamp
+            : cemi.addinfo.timestamp,
+      },
+      cemi.busmon
     );
-    this.log.trace("%j", dg.datagram);
-    dg.send(this._discoverSocket, this._remoteDiscoverEndpoint);
+    this.log.trace(
+      "Monitor %s frame: %s",
+      frame.type,
+      frame.raw.toString("hex")
+    );
+    this.emit("monitor", frame);
+  },
+
+  // tunneling requests or routing indications, depending on the connection mode
+  _prepareCemiDatagram: function () {
+    return this._prepareKnxDatagram(
+      this._options.use_tunneling
+        ? KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
+        : KnxConstants.SERVICE_TYPE.ROUTING_INDICATION
+    );
+  },
+
+  _setIndividualAddress: function (individualAddress) {
+    if (individualAddress === this.individualAddress) return;
+    const previous = this.individualAddress;
+    this.individualAddress = individualAddress;
+    this.log.info("Tunnel individual address is %s", individualAddress);
+    this.emit("individualAddress", individualAddress, previous);
   },
 
   _prepareKnxDatagram: function (svcType) {
@@ -596,241 +1201,978 @@ module.exports = machina.Fsm.extend({
       svcType,
       this._options,
       this._remoteControlEndpoint,
-      this._channelID
+      this._channelID,
+      this.individualAddress
     );
+    if (!this._isTcp() && this._controlSocket) {
+      const control = this._localEndpoint(
+        this._options.controlEndpoint,
+        this._controlSocket
+      );
+      const data = this._dataSocket
+        ? this._localEndpoint(
+            this._options.dataEndpoint ||
+              (this._options.controlEndpoint && {
+                addr: this._hostOf(this._options.controlEndpoint),
+              }),
+            this._dataSocket
+          )
+        : control;
+      dg.setLocalEndpoints(control, data);
+    }
     return dg;
   },
 
-  _startConnect: function () {
+  _hostOf: function (endpoint) {
+    return typeof endpoint === "string"
+      ? endpoint.split(":")[0]
+      : endpoint.addr;
+  },
+
+  // the HPAI endpoint for one of our sockets: route back unless configured
+  _localEndpoint: function (endpoint, socket) {
+    if (!endpoint) return "0.0.0.0:0";
+    const [addr, port] =
+      typeof endpoint === "string"
+        ? endpoint.split(":")
+        : [endpoint.addr, endpoint.port];
+    return util.format("%s:%d", addr, port || socket.address().port);
+  },
+
+  // tunneling traffic goes to the data endpoint of the CONNECT_RESPONSE
+  _setRemoteDataEndpoint: function (hpai) {
+    const [addr, port] = hpai ? hpai.tunnelEndpoint.split(":") : [];
+    if (this._isTcp() || !addr || addr === "0.0.0.0" || port === "0") {
+      // route back: the server expects data where it gets control requests
+      this._remoteDataEndpoint = Object.assign({}, this._remoteControlEndpoint);
+    } else {
+      this._remoteDataEndpoint = { addr, port: parseInt(port) };
+    }
+    this.log.debug(
+      "Data endpoint %s:%d",
+      this._remoteDataEndpoint.addr,
+      this._remoteDataEndpoint.port
+    );
+  },
+
+  _sendControl: function (dg, callback) {
+    dg.send(this._controlSocket, this._remoteControlEndpoint, callback);
+  },
+
+  // the last datagram on the control socket, closed by us once it is out
+  // rather than right away in idle
+  _sendFinal: function (dg) {
+    const socket = this._controlSocket;
+    this._controlSocket = null;
+    dg.send(socket, this._remoteControlEndpoint, () => socket.close());
+  },
+
+  _sendData: function (dg, callback) {
+    dg.send(
+      this._dataSocket || this._controlSocket,
+      this._remoteDataEndpoint,
+      callback
+    );
+  },
+
+  _usesDataSocket: function () {
+    return (
+      !this._isTcp() &&
+      Boolean(
+        this._options.separateDataSocket ||
+          this._options.dataEndpoint ||
+          this._options.localDataPort
+      )
+    );
+  },
+
+  _isManagement: function () {
+    return this._options.connectionType === "management";
+  },
+
+  _isTcp: function () {
+    return this._options.transport === "tcp";
+  },
+
+  // resolved on every use, the address of an interface may change
+  _localAddress: function () {
+    return this._options.interface
+      ? KnxDiscovery.localAddress(this._options.interface)
+      : null;
+  },
+
+  // exponential backoff with jitter, null once the attempts are used up
+  _reconnectDelay: function () {
+    const policy = this._options.reconnect;
+    if (this._reconnectAttempts >= policy.maxAttempts) return null;
+    const delay = Math.min(
+      policy.maxDelay,
+      policy.initialDelay * Math.pow(policy.multiplier, this._reconnectAttempts)
+    );
+    this._reconnectAttempts++;
+    return Math.round(delay * (1 + policy.jitter * (2 * Math.random() - 1)));
+  },
+
+  _createControlSocket: function () {
+    if (this._isTcp()) {
+      let socket = new KnxTcpSocket(this._options.heartbeatInterval);
+      if (this._options.secureTunnel) {
+        // the session handshake runs before anything else is sent
+        socket = new KnxSecureSession(socket, this._options);
+      }
+      // the reason, should the connection close because of it
+      let error = null;
+      socket.on("error", (err) => {
+        error = err;
+      });
+      socket.on("close", () => {
+        this.handle("connection_closed", error);
+      });
+      return socket.connect(
+        this._remoteControlEndpoint.port,
+        this._remoteControlEndpoint.addr,
+        this._localAddress()
+      );
+    }
+
+    return this._createUdpSocket(this._options.localControlPort);
+  },
+
+  _createUdpSocket: function (port) {
     const socket = dgram.createSocket({
       type: "udp4",
       reuseAddr: true,
     });
+    socket.bind({ port, address: this._localAddress() || undefined });
+    return socket;
+  },
 
-    socket.on("error", () => {
-      this.log.warn("control socket error => idle?");
+  _onMessage: function (msg, rinfo, callback) {
+    this.log.trace(
+      "Inbound control message from " +
+        rinfo.address +
+        ": " +
+        msg.toString("hex")
+    );
+    const dg = KnxDatagram.parseKnxMessage(
+      this._channelID,
+      msg,
+      rinfo,
+      this._options,
+      callback
+    );
+
+    if (dg !== null) {
+      const signal = util.format("inbound_%s", dg.datagramDesc());
+      if (dg.datagramDesc() === "DISCONNECT_REQUEST") {
+        this.log.info("empty internal fsm queue due to %s: ", signal);
+        this.clearQueue();
+      }
+      this.handle(signal, dg.datagram);
+    }
+  },
+
+  _startConnect: function () {
+    const socket = this._createControlSocket();
+
+    socket.on("error", (err) => {
+      this.log.warn("control socket error => idle? %s", err);
     });
-    socket.on("message", (msg, rinfo, callback) => {
-      this.log.trace(
-        "Inbound control message from " +
-          rinfo.address +
-          ": " +
-          msg.toString("hex")
+    socket.on("message", (msg, rinfo, callback) =>
+      this._onMessage(msg, rinfo, callback)
+    );
+    this._controlSocket = socket;
+    const sockets = [socket];
+
+    if (this._usesDataSocket()) {
+      const dataSocket = this._createUdpSocket(this._options.localDataPort);
+      dataSocket.on("error", (err) => {
+        this.log.warn("data socket error => idle? %s", err);
+      });
+      dataSocket.on("message", (msg, rinfo, callback) =>
+        this._onMessage(msg, rinfo, callback)
       );
-      const dg = KnxDatagram.parseKnxMessage(
-        this._channelID,
+      this._dataSocket = dataSocket;
+      sockets.push(dataSocket);
+    }
+
+    const sendConnectRequest = () => {
+      // the connection attempt may have been given up in the meantime
+      if (this._controlSocket !== socket) return;
+      const dg = this._prepareKnxDatagram(
+        KnxConstants.SERVICE_TYPE.CONNECT_REQUEST
+      );
+      this.log.trace("%j", dg);
+      this._sendControl(dg);
+      this._awaitingConnectResponse = true;
+    };
+    if (this._isTcp()) {
+      sendConnectRequest();
+    } else {
+      // our HPAIs need the local ports
+      Promise.all(sockets.map((s) => once(s, "listening"))).then(
+        sendConnectRequest,
+        () => {}
+      );
+    }
+  },
+
+  // we gave up on a CONNECT_REQUEST: should its response still arrive, the
+  // gateway has opened a channel for us that we have to close again
+  _lingerControlSocket: function () {
+    const socket = this._controlSocket;
+    const remote = Object.assign({}, this._remoteControlEndpoint);
+    const local = this._localEndpoint(this._options.controlEndpoint, socket);
+    this._controlSocket = null;
+
+    // no reason to keep the process alive
+    socket.unref();
+    const timer = setTimeout(
+      () => socket.close(),
+      this._options.connectTimeout
+    );
+    timer.unref();
+
+    socket.removeAllListeners("message");
+    socket.on("message", (msg, rinfo) => {
+      const response = KnxDatagram.parseKnxMessage(
+        null,
         msg,
         rinfo,
-        this._options,
-        callback
+        this._options
       );
-
-      if (dg !== null) {
-        const signal = util.format("inbound_%s", dg.datagramDesc());
-        if (dg.datagramDesc() === "DISCONNECT_REQUEST") {
-          this.log.info("empty internal fsm queue due to %s: ", signal);
-          this.clearQueue();
-        }
-        this.handle(signal, dg.datagram);
+      if (
+        response === null ||
+        response.datagram.serviceType !==
+          KnxConstants.SERVICE_TYPE.CONNECT_RESPONSE
+      ) {
+        return;
+      }
+      clearTimeout(timer);
+      const { channelId, status } = response.datagram.connstate;
+      if (status !== KnxConstants.RESPONSECODE.NO_ERROR) {
+        socket.close();
+        return;
       }
+      this.log.info("Closing channel %d opened by a late response", channelId);
+      const dg = KnxDatagram.fromServiceRequest(
+        KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST,
+        this._options,
+        remote,
+        channelId
+      );
+      dg.setLocalEndpoints(local, local);
+      dg.send(socket, remote, () => socket.close());
     });
-    socket.bind();
-    this._controlSocket = socket;
-
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.CONNECT_REQUEST
-    );
-    this.log.trace("%j", dg);
-    dg.send(this._controlSocket, this._remoteControlEndpoint);
   },
 
+  // resolves once online; rejects with a ConnectionError when the attempt
+  // fails, after which reconnecting goes on until disconnect()
   connect: function () {
+    this._closing = false;
+    this._reconnectAttempts = 0;
+    this._gatewayIndex = 0;
+    this._failedGateways.clear();
+    if (this._online) return Promise.resolve();
+
+    const connected = new Promise((resolve, reject) => {
+      const subscriptions = [
+        this.on("online", () => {
+          unsubscribe();
+          resolve();
+        }),
+        this.on("connect_failed", (err) => {
+          unsubscribe();
+          reject(err);
+        }),
+        this.on("reconnect_failed", (attempts) => {
+          unsubscribe();
+          reject(
+            new KnxErrors.ConnectionError(
+              "RECONNECT_FAILED",
+              util.format("Giving up after %d connection attempts", attempts)
+            )
+          );
+        }),
+        this.on("closed", () => {
+          unsubscribe();
+          reject(
+            new KnxErrors.ConnectionError(
+              "DISCONNECTED",
+              "Disconnected before going online"
+            )
+          );
+        }),
+      ];
+      const unsubscribe = () => subscriptions.forEach((s) => s.off());
+    });
+    // callers from before connect() returned a promise ignore it
+    connected.catch(() => {});
     this.handle("startsearch");
+    return connected;
   },
 
+  // resolves once the connection is closed, after its DISCONNECT_RESPONSE
+  // or options.disconnectTimeout, with every socket and timer released
   disconnect: function () {
+    this._closing = true;
+    if (this.state === "closed") return Promise.resolve();
+
+    const closed = new Promise((resolve) => {
+      const subscription = this.on("closed", () => {
+        subscription.off();
+        resolve();
+      });
+    });
     this.handle("disconnect");
+    return closed;
+  },
+
+  // the gateway to connect to, null to search for one
+  _nextGateway: function () {
+    if (!this._options.gateways) return null;
+    if (this._options.gateways !== "discover") {
+      return this._gateways[this._gatewayIndex];
+    }
+    // discovered backups are searched for again, the primary is known
+    return this._failingBack ? this._gateways[0] : null;
+  },
+
+  // the gateway in use failed: the next attempt goes to another one
+  _failover: function () {
+    if (!this._options.gateways) return;
+    const failed = this._remoteControlEndpoint;
+    if (this._options.gateways === "discover") {
+      this._failedGateways.add(util.format("%s:%d", failed.addr, failed.port));
+    } else {
+      this._gatewayIndex = (this._gatewayIndex + 1) % this._gateways.length;
+    }
+    this._failingOver = true;
+    this.log.warn("Gateway %s:%d failed", failed.addr, failed.port);
+    this.emit("failover", Object.assign({}, failed), this._nextGateway());
+  },
+
+  // while on a backup gateway, ask the primary now and then whether it is
+  // back with a DESCRIPTION_REQUEST
+  _startFailback: function () {
+    this._stopFailback();
+    const primary = this._gateways[0];
+    if (
+      !primary ||
+      (primary.addr === this._remoteControlEndpoint.addr &&
+        primary.port === parseInt(this._remoteControlEndpoint.port))
+    ) {
+      this._failedGateways.clear();
+      return;
+    }
+    this._failbackTimer = setInterval(() => {
+      KnxDiscovery.describe(primary, this._options).then(
+        () => this.handle("failback"),
+        (err) => this.log.debug("Primary gateway still down: %s", err.message)
+      );
+    }, this._options.failbackInterval);
+    // probing is no reason to keep the process alive
+    this._failbackTimer.unref();
+  },
+
+  _stopFailback: function () {
+    clearInterval(this._failbackTimer);
+    this._failbackTimer = null;
+  },
+
+  _connectFailed: function (reason, message) {
+    this.log.warn(message);
+    this.emit("connect_failed", new KnxErrors.ConnectionError(reason, message));
+  },
+
+  // the server closed our channel: confirm, so that it does not keep it
+  // alive, fail the requests in flight and reconnect; queued ones stay
+  _onDisconnectRequest: function (datagram) {
+    this._sendFinal(
+      this._prepareKnxDatagram(KnxConstants.SERVICE_TYPE.DISCONNECT_RESPONSE)
+    );
+    clearInterval(this._connStateRequestTimer);
+
+    const status = datagram.connstate.status;
+    const responseCode =
+      KnxConstants.keyText("RESPONSECODE", status) ||
+      util.format("0x%s", status.toString(16));
+    const err = new KnxErrors.ConnectionError(
+      "DISCONNECTED_BY_SERVER",
+      util.format("Disconnected by server (%s)", responseCode),
+      responseCode
+    );
+    this.log.warn(
+      "%s on channel %d",
+      err.message,
+      datagram.connstate.channelId
+    );
+    this._pending.abort(err, this._outboundQueue.ids());
+    this._pendingConfirmations = [];
+    this.emit("disconnected", err);
+    this.transition(this._closing ? "closed" : "idle");
+  },
+
+  _closeSockets: function () {
+    if (this._controlSocket) {
+      this._controlSocket.close();
+      this._controlSocket = null;
+    }
+    if (this._dataSocket) {
+      this._dataSocket.close();
+      this._dataSocket = null;
+    }
+    if (this._routingSocket) {
+      this._routingSocket.close();
+      this._routingSocket = null;
+    }
+  },
+
+  // nothing may keep the process alive once closed
+  _release: function () {
+    this._closeSockets();
+    this._stopFailback();
+    this._channelID = null;
+    clearTimeout(this.timer);
+    clearTimeout(this._connStateTimer);
+    clearInterval(this._connStateRequestTimer);
+    if (this._stopSearch) {
+      this._stopSearch();
+      this._stopSearch = null;
+    }
+
+    this.clearQueue();
+    const err = new KnxErrors.ConnectionError(
+      "DISCONNECTED",
+      "Connection closed"
+    );
+    this._outboundQueue
+      .clear()
+      .forEach((request) => this._pending.ack(request.data.uuid, err));
+    this._pending.abort(err);
+    this._pendingConfirmations = [];
+    this._pendingReads.clear();
+  },
+
+  // DESCRIPTION_REQUEST to the given endpoint, or the one we connect to
+  describe: function (endpoint, maxTimeout = 3000) {
+    return KnxDiscovery.describe(
+      endpoint || this._remoteControlEndpoint,
+      Object.assign({}, this._options, { timeout: maxTimeout })
+    );
   },
 
   queueRequest: function (ev, data) {
-    this.handle(ev, data);
+    if (this._options.busmonitor) {
+      this._pending.ack(data.uuid, "Busmonitor connections are receive-only");
+      return;
+    }
+    if (
+      this._isManagement() !==
+      (data.datagram.serviceType ===
+        KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST)
+    ) {
+      this._pending.ack(
+        data.uuid,
+        this._isManagement()
+          ? "Management connections carry no group communication"
+          : "Property services need a management connection"
+      );
+      return;
+    }
+    const cemi = data.datagram.cemi;
+    if (cemi.ctrl && this._options.priorities[cemi.destAddr]) {
+      cemi.ctrl.priority = PRIORITY[this._options.priorities[cemi.destAddr]];
+    }
+    if (this._coalesces(data)) {
+      const superseded = this._outboundQueue.replace(
+        (request) =>
+          this._coalesces(request.data) &&
+          request.data.datagram.cemi.destAddr === cemi.destAddr,
+        data.uuid,
+        { ev, data }
+      );
+      if (superseded) {
+        this.log.debug("Write to %s superseded", cemi.destAddr);
+        this._pending.ack(superseded.data.uuid, "SUPERSEDED");
+        return;
+      }
+    }
+    try {
+      this._outboundQueue.push(
+        data.uuid,
+        { ev, data },
+        cemi.ctrl ? cemi.ctrl.priority : PRIORITY.normal
+      );
+    } catch (err) {
+      this._pending.ack(data.uuid, err);
+      return;
+    }
+    this._drainQueue();
   },
 
-  read: function (groupAddress, maxTimeout = 5000) {
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
+  _coalesces: function (dg) {
+    return (
+      this._options.coalesceWrites &&
+      dg.datagram.cemi.apdu &&
+      dg.datagram.cemi.apdu.apci === "GroupValue_Write"
     );
+  },
 
-    const resultPromise = new Promise((resolve, reject) => {
-      const responseEvent = util.format("GroupValue_Response_%s", groupAddress);
+  // hand the next queued request to the connection once it is free for it
+  _drainQueue: function () {
+    if (this.state !== "online") return;
+    const request = this._outboundQueue.shift();
+    if (request) this._dispatch(request.ev, request.data);
+  },
+
+  _dispatch: function (ev, data) {
+    // before securing: the MAC covers the source address
+    data.setConnection(
+      this._remoteControlEndpoint,
+      this._channelID,
+      this.individualAddress
+    );
+    if (this._dataSecure && !this._isManagement()) {
+      this._dataSecure.secure(data.datagram.cemi);
+    }
+    if (this._needsConfirmation(data)) {
+      // the L_Data.con echoes the frame as it was sent, secured or not
+      this._pendingConfirmations.push({
+        uuid: data.uuid,
+        destAddr: data.datagram.cemi.destAddr,
+        apdu: data.getApduRaw(),
+      });
+    }
+    this.handle(ev, data);
+  },
 
-      let timeout = null;
+  // length and wait times of the outbound queue
+  getQueueStats: function () {
+    return this._outboundQueue.stats();
+  },
+
+  read: function (groupAddress, maxTimeout = 5000) {
+    // concurrent readers of a group address share one telegram
+    let pending = this._pendingReads.get(groupAddress);
+    const first = !pending;
+    if (first) {
+      pending = { dg: this._prepareCemiDatagram(), readers: 0, sent: false };
+      this._pendingReads.set(groupAddress, pending);
+    }
+    const dg = pending.dg;
+    pending.readers++;
 
-      const eventHandler = (src, data) => {
+    const resultPromise = new Promise((resolve, reject) => {
+      // settled: the next read sends a new telegram
+      const release = () => {
+        if (this._pendingReads.get(groupAddress) === pending) {
+          this._pendingReads.delete(groupAddress);
+        }
+      };
+      const done = () => {
+        this._pending.remove(entry);
+        pending.readers--;
+        if (pending.readers === 0) {
+          release();
+          if (!pending.sent) this._outboundQueue.remove(dg.uuid);
+        }
+      };
+      const onResponse = (src, data) => {
         this.log.trace("Handle event %s (%j)", src, data);
-        this.off(responseEvent, eventHandler);
-        clearTimeout(timeout);
+        done();
         if (src === null) {
           reject(new Error("No response"));
         } else if (data === null) {
+          release();
           reject(new Error("Invalid response"));
         } else {
+          release();
           resolve(data);
         }
       };
 
-      this.on(responseEvent, eventHandler);
-
-      timeout = setTimeout(() => {
-        eventHandler(null);
-      }, maxTimeout);
+      const entry = this._pending.add({
+        uuid: dg.uuid,
+        // the request may be refused before it is sent
+        onAck: (response) => {
+          if (response === "NO_ERROR") {
+            pending.sent = true;
+            return;
+          }
+          done();
+          release();
+          reject(
+            response instanceof Error
+              ? response
+              : new Error(response || "No acknowledgement")
+          );
+        },
+        response: util.format("GroupValue_Response_%s", groupAddress),
+        onResponse,
+        timeout: maxTimeout,
+        onTimeout: () => onResponse(null),
+      });
     });
-    dg.makeReadRequest(groupAddress);
-    this.queueRequest("outbound_" + dg.getServiceType(), dg);
+    if (first) {
+      dg.makeReadRequest(groupAddress);
+      this.queueRequest("outbound_" + dg.getServiceType(), dg);
+    }
 
     return resultPromise;
   },
 
-  readAsync: function (groupAddress, maxTimeout = 5000) {
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
-    );
-
-    const resultPromise = new Promise((resolve, reject) => {
-      const responseEvent = util.format("ReceivedAck_%s", dg.uuid);
-
-      let timeout = null;
-
-      const eventHandler = (response) => {
-        this.log.trace("Handle event %s", response);
-        this.off(responseEvent, eventHandler);
-        clearTimeout(timeout);
-        if (response === null) {
-          reject(new Error("No response"));
-        } else if (response !== "NO_ERROR") {
-          reject(new Error(response));
+  // resolves once the request is acknowledged and, with
+  // options.waitForConfirmation, confirmed by its L_Data.con
+  _awaitAck: function (dg, maxTimeout) {
+    const needsConfirmation = this._needsConfirmation(dg);
+
+    return new Promise((resolve, reject) => {
+      let acknowledged = false;
+      let confirmed = false;
+
+      const done = (err, result = true) => {
+        this._pending.remove(entry);
+        if (!acknowledged) this._outboundQueue.remove(dg.uuid);
+        if (needsConfirmation) this._dropConfirmation(dg.uuid);
+        if (err) {
+          reject(err);
         } else {
-          resolve(true);
+          resolve(result);
         }
       };
 
-      this.on(responseEvent, eventHandler);
-
-      timeout = setTimeout(() => {
-        eventHandler(null);
-      }, maxTimeout);
+      const entry = this._pending.add({
+        uuid: dg.uuid,
+        onAck: (response) => {
+          this.log.trace("Handle event %s", response);
+          if (response === null) {
+            done(new Error("No response"));
+          } else if (response instanceof Error) {
+            done(response);
+          } else if (response === "SUPERSEDED") {
+            // a newer write to the same group address went out instead
+            done(null, "superseded");
+          } else if (response !== "NO_ERROR") {
+            done(new Error(response));
+          } else {
+            acknowledged = true;
+            if (!needsConfirmation || confirmed) done();
+          }
+        },
+        onConfirmation:
+          needsConfirmation &&
+          ((success) => {
+            this.log.trace("Handle confirmation %s", success);
+            if (!success) {
+              done(new KnxErrors.ConfirmationError(dg.datagram.cemi.destAddr));
+            } else {
+              confirmed = true;
+              if (acknowledged) done();
+            }
+          }),
+        timeout: maxTimeout,
+        onTimeout: () =>
+          done(new Error(acknowledged ? "No confirmation" : "No response")),
+      });
     });
+  },
+
+  readAsync: function (groupAddress, maxTimeout = 5000) {
+    const dg = this._prepareCemiDatagram();
     dg.makeReadRequest(groupAddress);
+
+    const resultPromise = this._awaitAck(dg, maxTimeout);
     this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
     return resultPromise;
   },
 
   write: function (groupAddress, value, dpt, maxTimeout = 5000) {
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
-    );
+    const dg = this._prepareCemiDatagram();
+    dg.makeWriteRequest(groupAddress, value, dpt);
 
-    const resultPromise = new Promise((resolve, reject) => {
-      const responseEvent = util.format("ReceivedAck_%s", dg.uuid);
+    const resultPromise = this._awaitAck(dg, maxTimeout);
+    this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
-      let timeout = null;
+    return resultPromise;
+  },
 
-      const eventHandler = (response) => {
-        this.log.trace("Handle event %s", response);
-        this.off(responseEvent, eventHandler);
-        clearTimeout(timeout);
-        if (response === null) {
-          reject(new Error("No response"));
-        } else if (response !== "NO_ERROR") {
-          reject(new Error(response));
-        } else {
-          resolve(true);
-        }
-      };
+  writeRaw: function (groupAddress, value, bitlength, maxTimeout = 5000) {
+    const dg = this._prepareCemiDatagram();
+    dg.makeWriteRawRequest(groupAddress, value, bitlength);
 
-      this.on(responseEvent, eventHandler);
+    const resultPromise = this._awaitAck(dg, maxTimeout);
+    this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
-      timeout = setTimeout(() => {
-        eventHandler(null);
-      }, maxTimeout);
-    });
+    return resultPromise;
+  },
 
-    dg.makeWriteRequest(groupAddress, value, dpt);
+  respondRaw: function (groupAddress, value, bitlength, maxTimeout = 5000) {
+    const dg = this._prepareCemiDatagram();
+    dg.makeRespondRawRequest(groupAddress, value, bitlength);
+
+    const resultPromise = this._awaitAck(dg, maxTimeout);
     this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
     return resultPromise;
   },
 
-  writeRaw: function (groupAddress, value, bitlength, maxTimeout = 5000) {
-    const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
-    );
+  // resolves with the M_PropRead.con / M_PropWrite.con for the property
+  _propertyRequest: function (dg, confirmation, maxTimeout) {
+    const cemi = dg.datagram.cemi;
+    if (cemi.numberOfElements < 1 || cemi.numberOfElements > 15) {
+      return Promise.reject(
+        new Error("A property request carries 1 to 15 elements")
+      );
+    }
 
     const resultPromise = new Promise((resolve, reject) => {
-      const responseEvent = util.format("ReceivedAck_%s", dg.uuid);
-
-      let timeout = null;
+      let sent = false;
 
-      const eventHandler = (response) => {
-        this.log.trace("Handle event %s", response);
-        this.off(responseEvent, eventHandler);
-        clearTimeout(timeout);
+      const done = () => {
+        this._pending.remove(entry);
+        if (!sent) this._outboundQueue.remove(dg.uuid);
+      };
+      const onResponse = (response) => {
+        this.log.trace("Handle %s (%j)", confirmation, response);
+        done();
         if (response === null) {
           reject(new Error("No response"));
-        } else if (response !== "NO_ERROR") {
-          reject(new Error(response));
+        } else if (response.numberOfElements === 0) {
+          const errorCode = response.data.length > 0 ? response.data[0] : 0;
+          reject(
+            new Error(
+              util.format(
+                "Property %d: %s",
+                cemi.propertyId,
+                KnxConstants.keyText("CEMI_ERROR_CODE", errorCode) ||
+                  "error " + errorCode
+              )
+            )
+          );
         } else {
-          resolve(true);
+          resolve(response);
         }
       };
 
-      this.on(responseEvent, eventHandler);
-
-      timeout = setTimeout(() => {
-        eventHandler(null);
-      }, maxTimeout);
+      const entry = this._pending.add({
+        uuid: dg.uuid,
+        onAck: (response) => {
+          if (response === "NO_ERROR") {
+            sent = true;
+            return;
+          }
+          done();
+          reject(
+            response instanceof Error
+              ? response
+              : new Error(response || "No acknowledgement")
+          );
+        },
+        response: util.format(
+          "%s_%d_%d_%d_%d",
+          confirmation,
+          cemi.objectType,
+          cemi.objectInstance,
+          cemi.propertyId,
+          cemi.startIndex
+        ),
+        onResponse,
+        timeout: maxTimeout,
+        onTimeout: () => onResponse(null),
+      });
     });
-
-    dg.makeWriteRawRequest(groupAddress, value, bitlength);
     this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
     return resultPromise;
   },
 
-  respondRaw: function (groupAddress, value, bitlength, maxTimeout = 5000) {
+  propertyRead: function (
+    objectType,
+    objectInstance,
+    propertyId,
+    startIndex = 1,
+    numberOfElements = 1,
+    maxTimeout = 5000
+  ) {
     const dg = this._prepareKnxDatagram(
-      KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST
+      KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST
+    );
+    dg.makePropertyReadRequest(
+      objectType,
+      objectInstance,
+      propertyId,
+      startIndex,
+      numberOfElements
     );
+    return this._propertyRequest(dg, "M_PropRead.con", maxTimeout).then(
+      (response) => response.data
+    );
+  },
 
-    const resultPromise = new Promise((resolve, reject) => {
-      const responseEvent = util.format("ReceivedAck_%s", dg.uuid);
+  propertyWrite: function (
+    objectType,
+    objectInstance,
+    propertyId,
+    data,
+    startIndex = 1,
+    numberOfElements = 1,
+    maxTimeout = 5000
+  ) {
+    const dg = this._prepareKnxDatagram(
+      KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST
+    );
+    dg.makePropertyWriteRequest(
+      objectType,
+      objectInstance,
+      propertyId,
+      startIndex,
+      numberOfElements,
+      data
+    );
+    return this._propertyRequest(dg, "M_PropWrite.con", maxTimeout).then(
+      () => true
+    );
+  },
 
-      let timeout = null;
+  // restart the interface, it drops the connection when doing so
+  reset: function (maxTimeout = 5000) {
+    const dg = this._prepareKnxDatagram(
+      KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST
+    );
+    dg.makeResetRequest();
 
-      const eventHandler = (response) => {
-        this.log.trace("Handle event %s", response);
-        this.off(responseEvent, eventHandler);
-        clearTimeout(timeout);
-        if (response === null) {
-          reject(new Error("No response"));
-        } else if (response !== "NO_ERROR") {
-          reject(new Error(response));
-        } else {
-          resolve(true);
-        }
-      };
+    const resultPromise = this._awaitAck(dg, maxTimeout);
+    this.queueRequest("outbound_" + dg.getServiceType(), dg);
 
-      this.on(responseEvent, eventHandler);
+    return resultPromise;
+  },
 
-      timeout = setTimeout(() => {
-        eventHandler(null);
-      }, maxTimeout);
-    });
+  _ipParameterRead: function (propertyId, maxTimeout) {
+    return this.propertyRead(
+      KnxConstants.OBJECT_TYPE.KNXNETIP_PARAMETER,
+      1,
+      propertyId,
+      1,
+      1,
+      maxTimeout
+    );
+  },
 
-    dg.makeRespondRawRequest(groupAddress, value, bitlength);
-    this.queueRequest("outbound_" + dg.getServiceType(), dg);
+  _ipParameterWrite: function (propertyId, data, maxTimeout) {
+    return this.propertyWrite(
+      KnxConstants.OBJECT_TYPE.KNXNETIP_PARAMETER,
+      1,
+      propertyId,
+      data,
+      1,
+      1,
+      maxTimeout
+    );
+  },
 
-    return resultPromise;
+  getInterfaceIndividualAddress: function (maxTimeout) {
+    return this._ipParameterRead(
+      KnxConstants.PROPERTY_ID.KNX_INDIVIDUAL_ADDRESS,
+      maxTimeout
+    ).then((data) => KnxAddress.toString(data, KnxAddress.TYPE.PHYSICAL));
+  },
+
+  setInterfaceIndividualAddress: function (individualAddress, maxTimeout) {
+    return this._ipParameterWrite(
+      KnxConstants.PROPERTY_ID.KNX_INDIVIDUAL_ADDRESS,
+      KnxAddress.parse(individualAddress, KnxAddress.TYPE.PHYSICAL),
+      maxTimeout
+    );
+  },
+
+  // the friendly name is an array of 30 characters, one per element; a
+  // request carries at most 15 elements so it takes two of them
+  getFriendlyName: function (maxTimeout) {
+    const read = (startIndex) =>
+      this.propertyRead(
+        KnxConstants.OBJECT_TYPE.KNXNETIP_PARAMETER,
+        1,
+        KnxConstants.PROPERTY_ID.FRIENDLY_NAME,
+        startIndex,
+        15,
+        maxTimeout
+      );
+    return Promise.all([read(1), read(16)]).then((parts) =>
+      Buffer.concat(parts).toString("latin1").replace(/\0.*$/, "")
+    );
+  },
+
+  setFriendlyName: function (name, maxTimeout) {
+    const data = Buffer.alloc(30);
+    data.write(name, "latin1");
+    const write = (startIndex) =>
+      this.propertyWrite(
+        KnxConstants.OBJECT_TYPE.KNXNETIP_PARAMETER,
+        1,
+        KnxConstants.PROPERTY_ID.FRIENDLY_NAME,
+        data.slice(startIndex - 1, startIndex + 14),
+        startIndex,
+        15,
+        maxTimeout
+      );
+    return Promise.all([write(1), write(16)]).then(() => true);
+  },
+
+  getIpSettings: function (maxTimeout) {
+    const ip = (propertyId) =>
+      this._ipParameterRead(propertyId, maxTimeout).then((data) =>
+        ipaddr.fromByteArray(Array.from(data)).toString()
+      );
+    const { PROPERTY_ID } = KnxConstants;
+    return Promise.all([
+      this._ipParameterRead(PROPERTY_ID.IP_ASSIGNMENT_METHOD, maxTimeout),
+      ip(PROPERTY_ID.IP_ADDRESS),
+      ip(PROPERTY_ID.SUBNET_MASK),
+      ip(PROPERTY_ID.DEFAULT_GATEWAY),
+      ip(PROPERTY_ID.CURRENT_IP_ADDRESS),
+      ip(PROPERTY_ID.CURRENT_SUBNET_MASK),
+      ip(PROPERTY_ID.CURRENT_DEFAULT_GATEWAY),
+    ]).then((values) => ({
+      ipAssignmentMethod: values[0][0],
+      ipAddress: values[1],
+      subnetMask: values[2],
+      defaultGateway: values[3],
+      currentIpAddress: values[4],
+      currentSubnetMask: values[5],
+      currentDefaultGateway: values[6],
+    }));
+  },
+
+  // writes the given settings, the interface applies them after a reset
+  setIpSettings: function (settings, maxTimeout) {
+    const { PROPERTY_ID } = KnxConstants;
+    const writes = [];
+    if (settings.ipAssignmentMethod !== undefined) {
+      writes.push(
+        this._ipParameterWrite(
+          PROPERTY_ID.IP_ASSIGNMENT_METHOD,
+          Buffer.from([settings.ipAssignmentMethod]),
+          maxTimeout
+        )
+      );
+    }
+    [
+      ["ipAddress", PROPERTY_ID.IP_ADDRESS],
+      ["subnetMask", PROPERTY_ID.SUBNET_MASK],
+      ["defaultGateway", PROPERTY_ID.DEFAULT_GATEWAY],
+    ].forEach(([key, propertyId]) => {
+      if (settings[key] !== undefined) {
+        writes.push(
+          this._ipParameterWrite(
+            propertyId,
+            Buffer.from(ipaddr.parse(settings[key]).toByteArray()),
+            maxTimeout
+          )
+        );
+      }
+    });
+    return Promise.all(writes).then(() => true);
   },
 });
@@ -21,12 +21,21 @@ const SERVICE_TYPE = {
   CONNECTIONSTATE_RESPONSE: 0x0208,
   DISCONNECT_REQUEST: 0x0209,
   DISCONNECT_RESPONSE: 0x020a,
+  SEARCH_REQUEST_EXT: 0x020b,
+  SEARCH_RESPONSE_EXT: 0x020c,
   DEVICE_CONFIGURATION_REQUEST: 0x0310,
   DEVICE_CONFIGURATION_ACK: 0x0311,
   TUNNELING_REQUEST: 0x0420,
   TUNNELING_ACK: 0x0421,
   ROUTING_INDICATION: 0x0530,
   ROUTING_LOST_MESSAGE: 0x0531,
+  ROUTING_BUSY: 0x0532,
+  SECURE_WRAPPER: 0x0950,
+  SESSION_REQUEST: 0x0951,
+  SESSION_RESPONSE: 0x0952,
+  SESSION_AUTHENTICATE: 0x0953,
+  SESSION_STATUS: 0x0954,
+  TIMER_NOTIFY: 0x0955,
   UNKNOWN: -1,
 };
 
@@ -49,6 +58,45 @@ const KNX_LAYER = {
   BUSMONITOR_LAYER: 0x80, // Tunneling on busmonitor layer, establishes a busmonitor tunnel to the KNX network
 };
 
+// description information blocks (DIBs)
+const DESCRIPTION_TYPE = {
+  DEVICE_INFO: 0x01,
+  SUPP_SVC_FAMILIES: 0x02,
+  IP_CONFIG: 0x03,
+  IP_CUR_CONFIG: 0x04,
+  KNX_ADDRESSES: 0x05,
+  SECURED_SERVICE_FAMILIES: 0x06,
+  TUNNELING_INFO: 0x07,
+  EXTENDED_DEVICE_INFO: 0x08,
+  MFR_DATA: 0xfe,
+};
+
+const SERVICE_FAMILY = {
+  CORE: 0x02,
+  DEVICE_MANAGEMENT: 0x03,
+  TUNNELLING: 0x04,
+  ROUTING: 0x05,
+  REMOTE_LOGGING: 0x06,
+  REMOTE_CONFIGURATION: 0x07,
+  OBJECT_SERVER: 0x08,
+  SECURITY: 0x09,
+};
+
+// search request parameters of a SEARCH_REQUEST_EXT
+const SRP_TYPE = {
+  PROGRAMMING_MODE: 0x01,
+  MAC_ADDRESS: 0x02,
+  SERVICE: 0x03,
+  REQUEST_DIBS: 0x04,
+};
+
+const KNX_MEDIUM = {
+  TP1: 0x02,
+  PL110: 0x04,
+  RF: 0x10,
+  IP: 0x20,
+};
+
 const FRAMETYPE = {
   EXTENDED: 0x00,
   STANDARD: 0x01,
@@ -70,6 +118,16 @@ const RESPONSECODE = {
   E_TUNNELING_LAYER: 0x29,
 };
 
+// KNX IP Secure session status codes
+const SESSION_STATUS = {
+  AUTHENTICATION_SUCCESS: 0x00,
+  AUTHENTICATION_FAILED: 0x01,
+  UNAUTHENTICATED: 0x02,
+  TIMEOUT: 0x03,
+  KEEPALIVE: 0x04,
+  CLOSE: 0x05,
+};
+
 const MESSAGECODES = {
   "L_Raw.req": 0x10,
   "L_Data.req": 0x11,
@@ -81,6 +139,77 @@ const MESSAGECODES = {
   "L_Data.con": 0x2e,
   "L_Raw.con": 0x2f,
   "ETS.Dummy1": 0xc1, // UNKNOWN: see https://bitbucket.org/ekarak/knx.js/issues/23
+  // cEMI device management, on management connections
+  "M_Reset.ind": 0xf0,
+  "M_Reset.req": 0xf1,
+  "M_PropWrite.con": 0xf5,
+  "M_PropWrite.req": 0xf6,
+  "M_PropInfo.ind": 0xf7,
+  "M_PropRead.con": 0xfb,
+  "M_PropRead.req": 0xfc,
+};
+
+// interface objects of a KNXnet/IP device
+const OBJECT_TYPE = {
+  DEVICE: 0,
+  CEMI_SERVER: 8,
+  KNXNETIP_PARAMETER: 11,
+};
+
+// property IDs, the KNXnet/IP parameter object ones start at 51
+const PROPERTY_ID = {
+  OBJECT_TYPE: 1,
+  SERIAL_NUMBER: 11,
+  MANUFACTURER_ID: 12,
+  PROJECT_INSTALLATION_ID: 51,
+  KNX_INDIVIDUAL_ADDRESS: 52,
+  ADDITIONAL_INDIVIDUAL_ADDRESSES: 53,
+  CURRENT_IP_ASSIGNMENT_METHOD: 54,
+  IP_ASSIGNMENT_METHOD: 55,
+  IP_CAPABILITIES: 56,
+  CURRENT_IP_ADDRESS: 57,
+  CURRENT_SUBNET_MASK: 58,
+  CURRENT_DEFAULT_GATEWAY: 59,
+  IP_ADDRESS: 60,
+  SUBNET_MASK: 61,
+  DEFAULT_GATEWAY: 62,
+  DHCP_BOOTP_SERVER: 63,
+  MAC_ADDRESS: 64,
+  SYSTEM_SETUP_MULTICAST_ADDRESS: 65,
+  ROUTING_MULTICAST_ADDRESS: 66,
+  TTL: 67,
+  KNXNETIP_DEVICE_CAPABILITIES: 68,
+  KNXNETIP_DEVICE_STATE: 69,
+  KNXNETIP_ROUTING_CAPABILITIES: 70,
+  PRIORITY_FIFO_ENABLED: 71,
+  QUEUE_OVERFLOW_TO_IP: 72,
+  QUEUE_OVERFLOW_TO_KNX: 73,
+  MSG_TRANSMIT_TO_IP: 74,
+  MSG_TRANSMIT_TO_KNX: 75,
+  FRIENDLY_NAME: 76,
+};
+
+// error codes of negative M_PropRead.con / M_PropWrite.con
+const CEMI_ERROR_CODE = {
+  UNSPECIFIED_ERROR: 0x00,
+  OUT_OF_RANGE: 0x01,
+  OUT_OF_MAX_RANGE: 0x02,
+  OUT_OF_MIN_RANGE: 0x03,
+  MEMORY_ERROR: 0x04,
+  READ_ONLY: 0x05,
+  ILLEGAL_COMMAND: 0x06,
+  VOID_DP: 0x07,
+  TYPE_CONFLICT: 0x08,
+  PROP_INDEX_RANGE_ERROR: 0x09,
+  VALUE_NOT_WRITEABLE_NOW: 0x0a,
+};
+
+// PID_IP_ASSIGNMENT_METHOD bits
+const IP_ASSIGNMENT_METHOD = {
+  MANUAL: 0x01,
+  BOOTP: 0x02,
+  DHCP: 0x04,
+  AUTO_IP: 0x08,
 };
 
 const APCICODES = [
@@ -107,10 +236,19 @@ const KnxConstants = {
   CONNECTION_TYPE,
   PROTOCOL_TYPE,
   KNX_LAYER,
+  DESCRIPTION_TYPE,
+  SERVICE_FAMILY,
+  SRP_TYPE,
+  KNX_MEDIUM,
   FRAMETYPE,
   RESPONSECODE,
+  SESSION_STATUS,
   MESSAGECODES,
   APCICODES,
+  OBJECT_TYPE,
+  PROPERTY_ID,
+  CEMI_ERROR_CODE,
+  IP_ASSIGNMENT_METHOD,
 };
 
 /* TODO helper function to print enum keys */
@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const util = require("util");
+
+const KnxAddress = require("./Address");
+const KnxProtocol = require("./KnxProtocol");
+const KnxSecure = require("./KnxSecure");
+
+// A_SecureService, the 10 bit APCI of every S-A_Data
+const APCI_SEC = 0x03f1;
+// security control field: algorithm in bits 6-4, service in bits 2-0
+const SCF_AUTHENTICATION = 0x00;
+const SCF_ENCRYPTION = 0x10;
+const SERVICE_DATA = 0x00;
+const MAC_LENGTH = 4;
+// TPCI/APCI word, SCF and sequence number in front of the secured payload
+const HEADER_LENGTH = 9;
+// a standard frame carries at most 15 bytes after the TPCI
+const MAX_STANDARD_LENGTH = 15;
+
+const address = (addr, type) =>
+  KnxAddress.parse(addr, type, KnxProtocol.twoLevelAddressing);
+
+/*
+ * KNX Data Secure (S-A_Data) for group communication.
+ *
+ * Outgoing APDUs to group addresses that have a key are replaced by an
+ * S-A_Data: the plain APDU is encrypted (or only authenticated) with
+ * AES-CCM under the group key and a 4 byte MAC. Incoming S-A_Data are
+ * verified, checked against the last sequence number of their source and
+ * turned back into the plain APDU, so the rest of the stack never sees
+ * the difference. Telegrams that fail any of these checks raise an error.
+ *
+ * Configuration comes from options.dataSecure:
+ *   { groupKeys: { "1/2/3": key }, sequenceNumber, sequenceNumbers, encrypt }
+ */
+class KnxDataSecure {
+  constructor(options) {
+    const config = Object.assign(
+      {
+        groupKeys: {},
+        // must grow across restarts, the clock is good enough for that
+        sequenceNumber: Date.now(),
+        // last sequence number seen per source individual address
+        sequenceNumbers: {},
+        encrypt: true,
+      },
+      options.dataSecure
+    );
+    this._groupKeys = {};
+    for (const [groupAddress, key] of Object.entries(config.groupKeys)) {
+      this._groupKeys[groupAddress] = KnxSecure.toKey(key);
+    }
+    this._sequenceNumber = config.sequenceNumber;
+    this._lastSequenceNumbers = Object.assign({}, config.sequenceNumbers);
+    this._encrypt = config.encrypt;
+  }
+
+  // the next sequence number we send with, persist it to survive restarts
+  get sequenceNumber() {
+    return this._sequenceNumber;
+  }
+
+  _key(cemi) {
+    if (cemi.ctrl.destAddrType !== KnxAddress.TYPE.GROUP) return null;
+    return Object.prototype.hasOwnProperty.call(this._groupKeys, cemi.destAddr)
+      ? this._groupKeys[cemi.destAddr]
+      : null;
+  }
+
+  // CCM B0 and counter blocks, bound to the addresses of the frame
+  _blocks(cemi, tpci, sequenceNumber, payloadLength) {
+    const addressFields = Buffer.concat([
+      address(cemi.srcAddr, KnxAddress.TYPE.PHYSICAL),
+      address(cemi.destAddr, cemi.ctrl.destAddrType),
+    ]);
+    // address type and extended frame format, but not the hop count
+    const frameFlags = cemi.ctrl.destAddrType * 0x80 + cemi.ctrl.extendedFrame;
+    return {
+      block0: Buffer.concat([
+        sequenceNumber,
+        addressFields,
+        Buffer.from([0x00, frameFlags]),
+        KnxSecure.uint16(tpci * 0x400 + APCI_SEC),
+        Buffer.from([0x00, payloadLength]),
+      ]),
+      counter0: Buffer.concat([
+        sequenceNumber,
+        addressFields,
+        Buffer.from([0x00, 0x00, 0x00, 0x00, 0x01, 0x00]),
+      ]),
+    };
+  }
+
+  // replace the APDU of an outgoing frame by an S-A_Data if its group is secured
+  secure(cemi) {
+    const key = this._key(cemi);
+    if (key === null) return cemi;
+
+    const tpci = cemi.apdu.tpci || 0;
+    const plain = KnxProtocol.createWriter().APDU(cemi.apdu).buffer.slice(1);
+    const sequenceNumber = KnxSecure.uint48(this._sequenceNumber++);
+    const scf =
+      (this._encrypt ? SCF_ENCRYPTION : SCF_AUTHENTICATION) | SERVICE_DATA;
+
+    let payload = plain;
+    let mac;
+    if (this._encrypt) {
+      const { block0, counter0 } = this._blocks(
+        cemi,
+        tpci,
+        sequenceNumber,
+        plain.length
+      );
+      const macCbc = KnxSecure.cbcMac(
+        key,
+        Buffer.from([scf]),
+        plain,
+        block0
+      ).slice(0, MAC_LENGTH);
+      ({ mac, payload } = KnxSecure.ctr(key, counter0, macCbc, plain));
+    } else {
+      const { block0, counter0 } = this._blocks(cemi, tpci, sequenceNumber, 0);
+      const macCbc = KnxSecure.cbcMac(
+        key,
+        Buffer.concat([Buffer.from([scf]), plain]),
+        null,
+        block0
+      ).slice(0, MAC_LENGTH);
+      mac = KnxSecure.ctr(key, counter0, macCbc).mac;
+    }
+
+    cemi.apdu = {
+      tpci,
+      apci: "OTHER",
+      apduRaw: Buffer.concat([
+        KnxSecure.uint16(tpci * 0x400 + APCI_SEC),
+        Buffer.from([scf]),
+        sequenceNumber,
+        payload,
+        mac,
+      ]),
+    };
+    if (cemi.apdu.apduRaw.length - 1 > MAX_STANDARD_LENGTH) {
+      cemi.ctrl.frameType = 0;
+    }
+    return cemi;
+  }
+
+  // return the frame with the plain APDU of an incoming S-A_Data
+  unsecure(cemi) {
+    const raw = cemi.apdu.apduRaw;
+    const key = this._key(cemi);
+    if (!raw || raw.length < 2 || (raw.readUInt16BE(0) & 0x3ff) !== APCI_SEC) {
+      if (key !== null)
+        throw new Error("Unsecured telegram for secure group " + cemi.destAddr);
+      return cemi;
+    }
+    if (key === null) throw new Error("No key for " + cemi.destAddr);
+    if (raw.length < HEADER_LENGTH + 2 + MAC_LENGTH)
+      throw new Error("Truncated secure APDU");
+
+    const tpci = raw[0] >> 2;
+    const scf = raw[2];
+    if ((scf & 0x07) !== SERVICE_DATA)
+      throw new Error(
+        util.format("Unsupported secure service 0x%s", scf.toString(16))
+      );
+    const sequenceNumber = raw.slice(3, HEADER_LENGTH);
+    const secured = raw.slice(HEADER_LENGTH, raw.length - MAC_LENGTH);
+    const receivedMac = raw.slice(raw.length - MAC_LENGTH);
+
+    let payload;
+    let mac;
+    let expected;
+    switch (scf & 0x70) {
+      case SCF_ENCRYPTION: {
+        const { block0, counter0 } = this._blocks(
+          cemi,
+          tpci,
+          sequenceNumber,
+          secured.length
+        );
+        ({ mac, payload } = KnxSecure.ctr(key, counter0, receivedMac, secured));
+        expected = KnxSecure.cbcMac(key, Buffer.from([scf]), payload, block0);
+        break;
+      }
+      case SCF_AUTHENTICATION: {
+        const { block0, counter0 } = this._blocks(
+          cemi,
+          tpci,
+          sequenceNumber,
+          0
+        );
+        mac = KnxSecure.ctr(key, counter0, receivedMac).mac;
+        payload = secured;
+        expected = KnxSecure.cbcMac(
+          key,
+          Buffer.concat([Buffer.from([scf]), payload]),
+          null,
+          block0
+        );
+        break;
+      }
+      default:
+        throw new Error(
+          util.format("Unsupported secure algorithm 0x%s", scf.toString(16))
+        );
+    }
+    if (!crypto.timingSafeEqual(mac, expected.slice(0, MAC_LENGTH)))
+      throw new Error("Authentication failed");
+
+    const seqnum = sequenceNumber.readUIntBE(0, 6);
+    const last = this._lastSequenceNumbers[cemi.srcAddr];
+    if (last !== undefined && seqnum <= last)
+      throw new Error(
+        util.format("Replayed sequence number %d (last %d)", seqnum, last)
+      );
+    this._lastSequenceNumbers[cemi.srcAddr] = seqnum;
+
+    const reader = KnxProtocol.createReader(
+      Buffer.concat([Buffer.from([payload.length - 1]), payload])
+    );
+    reader.APDU("apdu");
+    return Object.assign({}, cemi, { apdu: reader.next().apdu });
+  }
+}
+
+module.exports = KnxDataSecure;
@@ -23,6 +23,7 @@ class KnxDatagram {
     this.useTunneling = this._options.use_tunneling;
     this._channelID = null;
     this._remoteControlEndpoint = null;
+    this._individualAddress = null;
 
     this.datagram = {};
     this.uuid = uuidv4();
@@ -30,9 +31,10 @@ class KnxDatagram {
     KnxNetProtocol.twoLevelAddressing = this._options.twoLevelAddressing;
   }
 
-  buildDatagram(svcType, remoteControlEndpoint, channelID) {
+  buildDatagram(svcType, remoteControlEndpoint, channelID, individualAddress) {
     this._channelID = channelID || null;
     this._remoteControlEndpoint = remoteControlEndpoint || null;
+    this._individualAddress = individualAddress || null;
 
     this.datagram = {
       headerLength: 6,
@@ -45,6 +47,10 @@ class KnxDatagram {
 
     switch (svcType) {
       case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST:
+      case KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST:
+        break;
+      case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT:
+        this.addSRPs();
         break;
       case KnxConstants.SERVICE_TYPE.CONNECT_REQUEST:
         this.addTunn();
@@ -54,6 +60,11 @@ class KnxDatagram {
       case KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST:
         this.addConnState();
         break;
+      case KnxConstants.SERVICE_TYPE.DISCONNECT_RESPONSE:
+        // just the channel and a status
+        delete this.datagram.hpai;
+        this.addConnState();
+        break;
       case KnxConstants.SERVICE_TYPE.ROUTING_INDICATION:
         this.addCEMI(KnxConstants.MESSAGECODES["L_Data.ind"]);
         break;
@@ -63,8 +74,20 @@ class KnxDatagram {
         this.addCEMI();
         break;
       case KnxConstants.SERVICE_TYPE.TUNNELING_ACK:
+      case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_ACK:
         this.addTunnState();
         break;
+      case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST:
+        this.addTunnState();
+        this.addManagementCEMI();
+        break;
+      // KNX IP Secure: the session fills in the security fields
+      case KnxConstants.SERVICE_TYPE.SESSION_REQUEST:
+      case KnxConstants.SERVICE_TYPE.SESSION_AUTHENTICATE:
+      case KnxConstants.SERVICE_TYPE.SESSION_STATUS:
+      case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+      case KnxConstants.SERVICE_TYPE.TIMER_NOTIFY:
+        break;
       default:
         KnxLog.get().debug("Do not know how to deal with svc type %d", svcType);
     }
@@ -74,35 +97,96 @@ class KnxDatagram {
     svcType,
     options,
     remoteControlEndpoint,
-    channelID
+    channelID,
+    individualAddress
   ) {
     const dg = new KnxDatagram(options);
-    dg.buildDatagram(svcType, remoteControlEndpoint, channelID);
+    dg.buildDatagram(
+      svcType,
+      remoteControlEndpoint,
+      channelID,
+      individualAddress
+    );
     return dg;
   }
 
+  // route back HPAIs: the server replies to where our requests came from
+  getProtocolType() {
+    return this._options.transport === "tcp"
+      ? KnxConstants.PROTOCOL_TYPE.IPV4_TCP
+      : KnxConstants.PROTOCOL_TYPE.IPV4_UDP;
+  }
+
   addHPAI() {
     this.datagram.hpai = {
-      protocolType: 1, // UDP
+      protocolType: this.getProtocolType(),
       tunnelEndpoint: "0.0.0.0:0",
     };
   }
 
   addTunn() {
     this.datagram.tunn = {
-      protocolType: 1, // UDP
+      protocolType: this.getProtocolType(),
       tunnelEndpoint: "0.0.0.0:0",
     };
   }
 
   addCRI() {
+    if (this._options.connectionType === "management") {
+      this.datagram.cri = {
+        connectionType: KnxConstants.CONNECTION_TYPE.DEVICE_MGMT_CONNECTION,
+      };
+      return;
+    }
     this.datagram.cri = {
       connectionType: KnxConstants.CONNECTION_TYPE.TUNNEL_CONNECTION,
-      knxLayer: KnxConstants.KNX_LAYER.LINK_LAYER,
+      knxLayer: this._options.busmonitor
+        ? KnxConstants.KNX_LAYER.BUSMONITOR_LAYER
+        : KnxConstants.KNX_LAYER.LINK_LAYER,
       unused: 0,
     };
   }
 
+  // search request parameters from options.extendedSearch:
+  // { programmingMode, macAddress, serviceFamilies: { TUNNELLING: 2 }, dibs }
+  addSRPs() {
+    const search = Object.assign({}, this._options.extendedSearch);
+    const srps = [];
+    // a server that does not know a parameter must not answer at all
+    const srp = (type, data) => srps.push({ type, mandatory: true, data });
+    if (search.programmingMode) {
+      srp(KnxConstants.SRP_TYPE.PROGRAMMING_MODE, Buffer.alloc(0));
+    }
+    if (search.macAddress) {
+      const mac = Buffer.from(search.macAddress.replace(/[:-]/g, ""), "hex");
+      if (mac.length !== 6)
+        throw new Error("Invalid MAC address " + search.macAddress);
+      srp(KnxConstants.SRP_TYPE.MAC_ADDRESS, mac);
+    }
+    Object.entries(search.serviceFamilies || {}).forEach(
+      ([family, version]) => {
+        const id =
+          family in KnxConstants.SERVICE_FAMILY
+            ? KnxConstants.SERVICE_FAMILY[family]
+            : parseInt(family);
+        if (isNaN(id)) throw new Error("Unknown service family " + family);
+        srp(KnxConstants.SRP_TYPE.SERVICE, Buffer.from([id, version]));
+      }
+    );
+    if (search.dibs && search.dibs.length > 0) {
+      const types = search.dibs.map((dib) => {
+        const type =
+          typeof dib === "string" ? KnxConstants.DESCRIPTION_TYPE[dib] : dib;
+        if (type === undefined) throw new Error("Unknown DIB type " + dib);
+        return type;
+      });
+      // the parameter length must be even
+      if (types.length % 2 === 1) types.push(0);
+      srp(KnxConstants.SRP_TYPE.REQUEST_DIBS, Buffer.from(types));
+    }
+    this.datagram.srps = srps;
+  }
+
   addConnState() {
     if (this._channelID === null) {
       KnxLog.get().warn("Channel ID is unknown when adding ConnState");
@@ -114,6 +198,30 @@ class KnxDatagram {
   }
 
   addTunnState() {
+    this.datagram.tunnstate = {};
+    this._updateTunnState();
+  }
+
+  // add the channel and the remote IP router's endpoint
+  _updateTunnState() {
+    this.datagram.tunnstate.channelId = this._channelID;
+    this.datagram.tunnstate.tunnelEndpoint = this._remoteControlEndpoint
+      ? this._remoteControlEndpoint.addr +
+        ":" +
+        this._remoteControlEndpoint.port
+      : null;
+  }
+
+  // requests may wait in the outbound queue across reconnects: they take
+  // the channel and the individual address of the connection that sends them
+  setConnection(remoteControlEndpoint, channelID, individualAddress) {
+    this._channelID = channelID || null;
+    this._remoteControlEndpoint = remoteControlEndpoint || null;
+    this._individualAddress = individualAddress || null;
+    if (this.datagram.cemi && this.datagram.cemi.ctrl) {
+      this.datagram.cemi.srcAddr = this._sourceAddress();
+    }
+    if (!this.datagram.tunnstate) return;
     if (this._channelID === null) {
       KnxLog.get().warn("Channel ID is unknown when adding TunnState");
     }
@@ -122,14 +230,7 @@ class KnxDatagram {
         "Remote Control Endpoint is unknown when adding TunnState"
       );
     }
-    // add the remote IP router's endpoint
-    this.datagram.tunnstate = {
-      channelId: this._channelID,
-      tunnelEndpoint:
-        this._remoteControlEndpoint.addr +
-        ":" +
-        this._remoteControlEndpoint.port,
-    };
+    this._updateTunnState();
   }
 
   addCEMI(msgcode) {
@@ -152,7 +253,7 @@ class KnxDatagram {
         hopCount: 6,
         extendedFrame: 0,
       },
-      srcAddr: this._options.physAddr || "15.15.15",
+      srcAddr: this._sourceAddress(),
       destAddr: "0/0/0", //
       apdu: {
         // default operation is GroupValue_Write
@@ -163,10 +264,40 @@ class KnxDatagram {
     };
   }
 
+  // the tunnel's address, unless the application insists on its own
+  _sourceAddress() {
+    return this._options.physAddr || this._individualAddress || "15.15.15";
+  }
+
+  addManagementCEMI() {
+    this.datagram.cemi = {
+      msgcode: KnxConstants.MESSAGECODES["M_PropRead.req"],
+      objectType: KnxConstants.OBJECT_TYPE.DEVICE,
+      objectInstance: 1,
+      propertyId: KnxConstants.PROPERTY_ID.OBJECT_TYPE,
+      numberOfElements: 1,
+      startIndex: 1,
+      data: Buffer.alloc(0),
+    };
+  }
+
   getSeqNum() {
     return this.datagram.tunnstate.seqnum || -1;
   }
 
+  // the encoded APDU of the CEMI frame, as echoed in its L_Data.con
+  getApduRaw() {
+    return KnxNetProtocol.createWriter()
+      .APDU(this.datagram.cemi.apdu)
+      .buffer.slice(1);
+  }
+
+  // advertise explicit local endpoints ("addr:port") instead of route back
+  setLocalEndpoints(controlEndpoint, dataEndpoint) {
+    if (this.datagram.hpai) this.datagram.hpai.tunnelEndpoint = controlEndpoint;
+    if (this.datagram.tunn) this.datagram.tunn.tunnelEndpoint = dataEndpoint;
+  }
+
   setSeqNum(seqnum) {
     this.datagram.tunnstate.seqnum = seqnum;
   }
@@ -263,10 +394,56 @@ class KnxDatagram {
     });
   }
 
+  makePropertyReadRequest(
+    objectType,
+    objectInstance,
+    propertyId,
+    startIndex,
+    numberOfElements
+  ) {
+    Object.assign(this.datagram.cemi, {
+      msgcode: KnxConstants.MESSAGECODES["M_PropRead.req"],
+      objectType,
+      objectInstance,
+      propertyId,
+      startIndex,
+      numberOfElements,
+    });
+  }
+
+  makePropertyWriteRequest(
+    objectType,
+    objectInstance,
+    propertyId,
+    startIndex,
+    numberOfElements,
+    data
+  ) {
+    Object.assign(this.datagram.cemi, {
+      msgcode: KnxConstants.MESSAGECODES["M_PropWrite.req"],
+      objectType,
+      objectInstance,
+      propertyId,
+      startIndex,
+      numberOfElements,
+      data,
+    });
+  }
+
+  makeResetRequest() {
+    this.datagram.cemi = {
+      msgcode: KnxConstants.MESSAGECODES["M_Reset.req"],
+    };
+  }
+
+  toBuffer() {
+    const writer = KnxNetProtocol.createWriter();
+    return writer.KNXNetHeader(this.datagram).buffer;
+  }
+
   send(socket, remote, callback) {
     let cemitype; // TODO: set, but unused
     try {
-      const writer = KnxNetProtocol.createWriter();
       switch (this.datagram.serviceType) {
         case KnxConstants.SERVICE_TYPE.ROUTING_INDICATION:
         case KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST:
@@ -277,8 +454,7 @@ class KnxDatagram {
           );
           break;
       }
-      const packet = writer.KNXNetHeader(this.datagram);
-      const buf = packet.buffer;
+      const buf = this.toBuffer();
       const svctype = KnxConstants.keyText(
         "SERVICE_TYPE",
         this.datagram.serviceType
@@ -298,6 +474,7 @@ class KnxDatagram {
             descr,
             buf.toString("hex")
           );
+          if (typeof callback === "function") callback(err);
         }
       );
     } catch (e) {
@@ -0,0 +1,358 @@
+const dgram = require("dgram");
+const ipaddr = require("ipaddr.js");
+const os = require("os");
+const util = require("util");
+
+const KnxConstants = require("./KnxConstants");
+const KnxDatagram = require("./KnxDatagram");
+const { ConnectionError } = require("./KnxErrors");
+const KnxLog = require("./KnxLog");
+
+// "host", "host:port" or { addr, port }
+const toEndpoint = (endpoint) => {
+  if (typeof endpoint === "string") {
+    const [addr, port] = endpoint.split(":");
+    return { addr, port: parseInt(port || 3671) };
+  }
+  return { addr: endpoint.addr, port: parseInt(endpoint.port || 3671) };
+};
+
+const SEARCH_ENDPOINT = { addr: "224.0.23.12", port: 3671 };
+const RESPONSE_TYPES = [
+  KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE,
+  KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE_EXT,
+];
+
+// the IPv4 address of a network interface given by name or address
+const localAddress = (iface) => {
+  const nics = os.networkInterfaces();
+  if (nics[iface]) {
+    const nic = nics[iface].find((n) => n.family === "IPv4" || n.family === 4);
+    if (!nic) throw new Error("No IPv4 address on network interface " + iface);
+    return nic.address;
+  }
+  if (!ipaddr.IPv4.isValidFourPartDecimal(iface))
+    throw new Error("Unknown network interface " + iface);
+  return iface;
+};
+
+// local IPv4 addresses for a list of interface names and/or addresses,
+// or "all" for every external IPv4 interface
+const localAddresses = (interfaces) => {
+  if (interfaces === "all") {
+    const addresses = [];
+    Object.values(os.networkInterfaces()).forEach((nics) =>
+      nics
+        .filter((n) => (n.family === "IPv4" || n.family === 4) && !n.internal)
+        .forEach((n) => addresses.push(n.address))
+    );
+    return addresses;
+  }
+  return [].concat(interfaces).map(localAddress);
+};
+
+// discovery and description always run over UDP
+const datagramOptions = (options) =>
+  Object.assign({ twoLevelAddressing: false }, options, { transport: "udp" });
+
+/*
+ * Ask a KNXnet/IP server to describe itself (DESCRIPTION_REQUEST).
+ * Resolves with the parsed DIBs of its DESCRIPTION_RESPONSE:
+ *   { endpoint, deviceInfo, serviceFamilies, ipConfig, ipCurrentConfig,
+ *     knxAddresses, securedServiceFamilies, tunnelingInfo, ... }
+ * Only the DIBs the server sends are present.
+ */
+const describe = (endpoint, options = {}) => {
+  const remote = endpoint ? toEndpoint(endpoint) : null;
+  // e.g. a connection that has not found its gateway yet
+  if (!remote || !remote.addr) {
+    return Promise.reject(
+      new ConnectionError("NO_ENDPOINT", "No endpoint to describe")
+    );
+  }
+  const dgOptions = datagramOptions(options);
+  const timeout = options.timeout || 3000;
+
+  return new Promise((resolve, reject) => {
+    const address = options.interface ? localAddress(options.interface) : null;
+    const socket = dgram.createSocket({ type: "udp4" });
+
+    const timer = setTimeout(() => {
+      socket.close();
+      reject(
+        new Error(
+          util.format(
+            "No DESCRIPTION_RESPONSE from %s:%d",
+            remote.addr,
+            remote.port
+          )
+        )
+      );
+    }, timeout);
+
+    socket.on("error", (err) => {
+      clearTimeout(timer);
+      socket.close();
+      reject(err);
+    });
+    socket.on("message", (msg, rinfo) => {
+      const dg = KnxDatagram.parseKnxMessage(null, msg, rinfo, dgOptions);
+      if (
+        dg === null ||
+        dg.datagram.serviceType !==
+          KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE
+      )
+        return;
+      KnxLog.get().trace("DESCRIPTION_RESPONSE from %s", rinfo.address);
+      clearTimeout(timer);
+      socket.close();
+      resolve(Object.assign({ endpoint: remote }, dg.datagram.dibs));
+    });
+    socket.bind({ port: 0, address: address || undefined }, () => {
+      const dg = KnxDatagram.fromServiceRequest(
+        KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST,
+        dgOptions
+      );
+      dg.send(socket, remote);
+    });
+  });
+};
+
+// a gateway as described by its SEARCH_RESPONSE
+const gatewayRecord = (datagram, rinfo, localAddress) => {
+  const [addr, port] = datagram.hpai.tunnelEndpoint.split(":");
+  const dibs = datagram.dibs || {};
+  const deviceInfo = dibs.deviceInfo || {};
+  // a NAT-ed server asks us to answer to wherever its response came from
+  const endpoint =
+    addr === "0.0.0.0"
+      ? { addr: rinfo.address, port: rinfo.port }
+      : { addr, port: parseInt(port) };
+  return {
+    endpoint,
+    localAddress: localAddress || null,
+    individualAddress: deviceInfo.individualAddress,
+    serialNumber: deviceInfo.serialNumber,
+    name: deviceInfo.name,
+    macAddress: deviceInfo.macAddress,
+    medium: deviceInfo.medium,
+    programmingMode: deviceInfo.programmingMode,
+    multicastAddress: deviceInfo.multicastAddress,
+    serviceFamilies: dibs.serviceFamilies || {},
+    // only sent in answer to an extended search requesting it
+    tunnelingInfo: dibs.tunnelingInfo || null,
+    dibs,
+  };
+};
+
+/*
+ * Send a SEARCH_REQUEST from every local address in options.interfaces
+ * (names or addresses, "all" for every IPv4 interface), from
+ * options.interface or from the default one and report each gateway that answers through
+ * onGateway(record). Returns a function that ends the search.
+ *
+ * With options.extendedSearch a SEARCH_REQUEST_EXT is sent instead, only
+ * answered by the gateways matching its parameters:
+ *   { programmingMode, macAddress, serviceFamilies: { TUNNELLING: 2 }, dibs }
+ */
+const startSearch = (options, onGateway) => {
+  const dgOptions = datagramOptions(options);
+  let interfaces = [null];
+  if (options.interfaces) {
+    interfaces = localAddresses(options.interfaces);
+  } else if (options.interface) {
+    interfaces = [localAddress(options.interface)];
+  }
+  const seen = new Set();
+  // KNXnet/IP 2.0 servers filter an extended search themselves
+  const requestType = options.extendedSearch
+    ? KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT
+    : KnxConstants.SERVICE_TYPE.SEARCH_REQUEST;
+
+  const sockets = interfaces.map((address) => {
+    const dg = KnxDatagram.fromServiceRequest(requestType, dgOptions);
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket.on("error", (err) => {
+      KnxLog.get().warn("Search socket error on %s: %s", address, err);
+    });
+    socket.on("message", (msg, rinfo) => {
+      const dg = KnxDatagram.parseKnxMessage(null, msg, rinfo, dgOptions);
+      if (dg === null || !RESPONSE_TYPES.includes(dg.datagram.serviceType))
+        return;
+      const record = gatewayRecord(dg.datagram, rinfo, address);
+      // the same gateway may answer on several interfaces
+      const key = util.format(
+        "%s:%d/%s",
+        record.endpoint.addr,
+        record.endpoint.port,
+        record.serialNumber
+      );
+      if (seen.has(key)) return;
+      seen.add(key);
+      KnxLog.get().debug(
+        "Found gateway %s (%s) at %s:%d",
+        record.name,
+        record.individualAddress,
+        record.endpoint.addr,
+        record.endpoint.port
+      );
+      onGateway(record);
+    });
+    socket.on("listening", () => {
+      if (address) return;
+      try {
+        socket.addMembership(SEARCH_ENDPOINT.addr);
+      } catch (err) {
+        KnxLog.get().debug("Cannot join %s: %s", SEARCH_ENDPOINT.addr, err);
+      }
+    });
+    socket.bind({ port: 0, address: address || undefined }, () => {
+      if (address) {
+        // answer to this interface, not whichever the route points to
+        socket.setMulticastInterface(address);
+        dg.datagram.hpai.tunnelEndpoint = util.format(
+          "%s:%d",
+          address,
+          socket.address().port
+        );
+      }
+      dg.send(socket, SEARCH_ENDPOINT);
+    });
+    return socket;
+  });
+
+  return () => {
+    sockets.forEach((socket) => {
+      try {
+        socket.close();
+      } catch (err) {}
+    });
+  };
+};
+
+const hasFreeTunnel = (tunnelingInfo) =>
+  Boolean(tunnelingInfo) &&
+  tunnelingInfo.slots.some((slot) => slot.free && slot.usable);
+
+const hexDigits = (value) => String(value).toLowerCase().replace(/[:.-]/g, "");
+
+const CRITERIA = [
+  "name",
+  "serialNumber",
+  "macAddress",
+  "individualAddress",
+  "freeTunnel",
+];
+
+/*
+ * Turn a gateway selection into an async predicate on gateway records:
+ *   "first"             the first gateway that answers
+ *   "freeTunnel"        the first one with a free tunneling slot
+ *   { name, serialNumber, macAddress, individualAddress, freeTunnel }
+ *                       every given criterion must match, name is a RegExp
+ *   function (gateway)  returns (a promise of) true for the one to use
+ * Gateways whose search response has no tunneling slots are asked for them
+ * with a DESCRIPTION_REQUEST.
+ */
+const gatewaySelector = (selection, options = {}) => {
+  if (typeof selection === "function")
+    return async (gateway) => Boolean(await selection(gateway));
+  if (!selection || selection === "first") return async () => true;
+  if (selection === "freeTunnel") selection = { freeTunnel: true };
+  if (typeof selection !== "object")
+    throw new Error("Unknown gateway selection " + selection);
+  Object.keys(selection).forEach((key) => {
+    if (!CRITERIA.includes(key))
+      throw new Error("Unknown gateway selection criterion " + key);
+  });
+
+  const name = selection.name === undefined ? null : new RegExp(selection.name);
+  return async (gateway) => {
+    if (name && !name.test(gateway.name || "")) return false;
+    if (
+      selection.serialNumber !== undefined &&
+      hexDigits(selection.serialNumber) !== hexDigits(gateway.serialNumber)
+    )
+      return false;
+    if (
+      selection.macAddress !== undefined &&
+      hexDigits(selection.macAddress) !== hexDigits(gateway.macAddress)
+    )
+      return false;
+    if (
+      selection.individualAddress !== undefined &&
+      selection.individualAddress !== gateway.individualAddress
+    )
+      return false;
+    if (selection.freeTunnel) {
+      let tunnelingInfo = gateway.tunnelingInfo;
+      if (!tunnelingInfo) {
+        try {
+          ({ tunnelingInfo } = await describe(gateway.endpoint, options));
+        } catch (err) {
+          KnxLog.get().debug("Cannot describe %s: %s", gateway.name, err);
+        }
+      }
+      return hasFreeTunnel(tunnelingInfo);
+    }
+    return true;
+  };
+};
+
+/*
+ * Search for gateways, yielding each record as its SEARCH_RESPONSE arrives:
+ *   for await (const gateway of search({ timeout: 3000 })) { ... }
+ */
+async function* search(options = {}) {
+  const found = [];
+  let wakeUp = null;
+  let done = false;
+  const wake = () => {
+    if (wakeUp) wakeUp();
+  };
+
+  const stop = startSearch(options, (record) => {
+    found.push(record);
+    wake();
+  });
+  const timer = setTimeout(() => {
+    done = true;
+    wake();
+  }, options.timeout || 3000);
+
+  try {
+    while (true) {
+      if (found.length > 0) {
+        yield found.shift();
+      } else if (done) {
+        break;
+      } else {
+        await new Promise((resolve) => (wakeUp = resolve));
+        wakeUp = null;
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+    stop();
+  }
+}
+
+// all gateways that answered within options.timeout
+const discover = async (options = {}) => {
+  const gateways = [];
+  for await (const gateway of search(options)) {
+    gateways.push(gateway);
+  }
+  return gateways;
+};
+
+module.exports = {
+  toEndpoint,
+  localAddress,
+  describe,
+  discover,
+  search,
+  startSearch,
+  gatewayRecord,
+  gatewaySelector,
+};
@@ -0,0 +1,40 @@
+/*
+ * Errors that callers may want to tell apart from the generic ones,
+ * e.g. with `err instanceof Errors.ConfirmationError`.
+ */
+
+// the bus reported that a telegram could not be transmitted (L_Data.con
+// with the confirm bit set), although the KNXnet/IP interface accepted it
+class ConfirmationError extends Error {
+  constructor(destAddr) {
+    super("Transmission to " + destAddr + " failed");
+    this.name = "ConfirmationError";
+    this.destAddr = destAddr;
+  }
+}
+
+// the outbound queue already holds options.maxQueueLength requests
+class QueueFullError extends Error {
+  constructor(maxLength) {
+    super("Outbound queue is full (" + maxLength + " requests)");
+    this.name = "QueueFullError";
+    this.maxLength = maxLength;
+  }
+}
+
+// connect() failed; reason is "SEARCH_TIMEOUT", "CONNECT_TIMEOUT",
+// "CONNECTION_CLOSED", "RECONNECT_FAILED", "DISCONNECTED" or the
+// RESPONSECODE of a refused CONNECT_REQUEST, e.g. "E_NO_MORE_CONNECTIONS".
+// A DISCONNECT_REQUEST from the server has the reason
+// "DISCONNECTED_BY_SERVER" and the RESPONSECODE it carried as status;
+// describe() without an endpoint fails with "NO_ENDPOINT"
+class ConnectionError extends Error {
+  constructor(reason, message, status = null) {
+    super(message);
+    this.name = "ConnectionError";
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+module.exports = { ConfirmationError, QueueFullError, ConnectionError };
@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const KnxAddress = require("./Address");
+
+// elements and attributes of the keyring XML, which has no text content
+const ELEMENT_RE =
+  /<([/?!]?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_RE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const unescape = (value) =>
+  value.replace(/&(amp|lt|gt|quot|apos);/g, (m, entity) => ENTITIES[entity]);
+
+// flat list of { name, parent, attributes }
+const parseElements = (xml) => {
+  const elements = [];
+  const stack = [];
+  let match;
+  ELEMENT_RE.lastIndex = 0;
+  while ((match = ELEMENT_RE.exec(xml)) !== null) {
+    const [, kind, name, attrs, selfClosing] = match;
+    if (kind === "?" || kind === "!") continue;
+    if (kind === "/") {
+      stack.pop();
+      continue;
+    }
+    const attributes = {};
+    let attr;
+    ATTRIBUTE_RE.lastIndex = 0;
+    while ((attr = ATTRIBUTE_RE.exec(attrs)) !== null) {
+      attributes[attr[1]] = unescape(attr[2] !== undefined ? attr[2] : attr[3]);
+    }
+    elements.push({
+      name,
+      parent: stack[stack.length - 1] || null,
+      attributes,
+    });
+    if (!selfClosing) stack.push(name);
+  }
+  return elements;
+};
+
+/*
+ * An ETS keyring (.knxkeys) decrypted with its password.
+ *
+ * Exposes the backbone key, the tunnel interfaces with their user
+ * credentials, the devices with their authentication codes and the
+ * Data Secure group keys, and turns them into Connection options:
+ *
+ *   const keyring = await Keyring.load("project.knxkeys", "password");
+ *   new Connection({ secureTunnel: keyring.secureTunnel("1.1.5"), ... });
+ */
+class KnxKeyring {
+  constructor(xml, password, options) {
+    this._options = Object.assign({ twoLevelAddressing: false }, options);
+
+    const elements = parseElements(xml);
+    const root = elements.find((e) => e.name === "Keyring");
+    if (!root) throw new Error("Not an ETS keyring: no Keyring element");
+
+    this.project = root.attributes.Project || null;
+    this.createdBy = root.attributes.CreatedBy || null;
+    this.created = root.attributes.Created;
+
+    this._passwordHash = crypto.pbkdf2Sync(
+      Buffer.from(password, "utf8"),
+      "1.keyring.ets.knx.org",
+      65536,
+      16,
+      "sha256"
+    );
+    this._iv = crypto
+      .createHash("sha256")
+      .update(this.created, "utf8")
+      .digest()
+      .slice(0, 16);
+
+    this.backbone = null;
+    this.interfaces = [];
+    this.devices = [];
+    this.groupKeys = {};
+
+    for (const { name, parent, attributes } of elements) {
+      switch (name) {
+        case "Backbone":
+          this.backbone = {
+            multicastAddress: attributes.MulticastAddress || "224.0.23.12",
+            latencyTolerance: parseInt(attributes.Latency || 2000),
+            key: this._decryptKey(attributes.Key),
+          };
+          break;
+        case "Interface":
+          this.interfaces.push({
+            type: attributes.Type,
+            individualAddress: attributes.IndividualAddress || null,
+            host: attributes.Host || null,
+            userId:
+              attributes.UserID !== undefined
+                ? parseInt(attributes.UserID)
+                : null,
+            userPassword: this._decryptPassword(attributes.Password),
+            deviceAuthenticationCode: this._decryptPassword(
+              attributes.Authentication
+            ),
+          });
+          break;
+        case "Device":
+          this.devices.push({
+            individualAddress: attributes.IndividualAddress,
+            serialNumber: attributes.SerialNumber || null,
+            toolKey: this._decryptKey(attributes.ToolKey),
+            managementPassword: this._decryptPassword(
+              attributes.ManagementPassword
+            ),
+            deviceAuthenticationCode: this._decryptPassword(
+              attributes.Authentication
+            ),
+            sequenceNumber: parseInt(attributes.SequenceNumber || 0),
+          });
+          break;
+        case "Group":
+          // groups below an Interface only list the allowed senders
+          if (parent === "GroupAddresses" && attributes.Key) {
+            this.groupKeys[this._groupAddress(attributes.Address)] =
+              this._decryptKey(attributes.Key);
+          }
+          break;
+      }
+    }
+  }
+
+  static parse(xml, password, options) {
+    return new KnxKeyring(xml, password, options);
+  }
+
+  static async load(file, password, options) {
+    const xml = await fs.promises.readFile(file, "utf8");
+    return new KnxKeyring(xml, password, options);
+  }
+
+  _decrypt(value) {
+    const decipher = crypto.createDecipheriv(
+      "aes-128-cbc",
+      this._passwordHash,
+      this._iv
+    );
+    decipher.setAutoPadding(false);
+    const data = Buffer.from(value, "base64");
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  }
+
+  _decryptKey(value) {
+    return value ? this._decrypt(value) : null;
+  }
+
+  // passwords are prefixed with 8 random bytes and padded PKCS#7 style
+  _decryptPassword(value) {
+    if (!value) return null;
+    const data = this._decrypt(value);
+    const padding = data[data.length - 1];
+    if (
+      padding < 1 ||
+      padding > 16 ||
+      data.length < 8 + padding ||
+      !data.slice(-padding).every((b) => b === padding)
+    ) {
+      throw new Error("Invalid keyring password");
+    }
+    return data.slice(8, data.length - padding).toString("utf8");
+  }
+
+  _groupAddress(value) {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16BE(parseInt(value), 0);
+    return KnxAddress.toString(
+      buf,
+      KnxAddress.TYPE.GROUP,
+      this._options.twoLevelAddressing
+    );
+  }
+
+  device(individualAddress) {
+    return (
+      this.devices.find((d) => d.individualAddress === individualAddress) ||
+      null
+    );
+  }
+
+  tunnel(individualAddress) {
+    return (
+      this.interfaces.find(
+        (i) =>
+          i.type === "Tunneling" &&
+          (!individualAddress || i.individualAddress === individualAddress)
+      ) || null
+    );
+  }
+
+  // options.secureTunnel for the tunnel with the given individual address
+  // (or the first tunnel in the keyring)
+  secureTunnel(individualAddress) {
+    const tunnel = this.tunnel(individualAddress);
+    if (!tunnel)
+      throw new Error("No tunnel interface " + (individualAddress || ""));
+    const host = tunnel.host ? this.device(tunnel.host) : null;
+    return {
+      userId: tunnel.userId,
+      userPassword: tunnel.userPassword,
+      deviceAuthenticationCode:
+        tunnel.deviceAuthenticationCode ||
+        (host && host.deviceAuthenticationCode),
+    };
+  }
+
+  // options.secureRouting
+  secureRouting() {
+    if (!this.backbone) throw new Error("No backbone key in keyring");
+    return {
+      backboneKey: this.backbone.key,
+      latencyTolerance: this.backbone.latencyTolerance,
+    };
+  }
+
+  // options.dataSecure, with the last sequence number known per device
+  dataSecure() {
+    const sequenceNumbers = {};
+    this.devices.forEach((d) => {
+      sequenceNumbers[d.individualAddress] = d.sequenceNumber;
+    });
+    return { groupKeys: this.groupKeys, sequenceNumbers };
+  }
+}
+
+module.exports = KnxKeyring;
@@ -0,0 +1,162 @@
+const { EventEmitter } = require("events");
+
+const { QueueFullError } = require("./KnxErrors");
+
+// lanes in the order they are served, named after the cEMI priorities
+const LANES = ["system", "urgent", "normal", "low"];
+// cEMI control field priority => lane
+const PRIORITY_LANES = ["system", "normal", "urgent", "low"];
+
+// milliseconds from a monotonic clock
+const now = () => {
+  const [seconds, nanoseconds] = process.hrtime();
+  return seconds * 1000 + nanoseconds / 1e6;
+};
+
+/*
+ * Outbound requests waiting for the connection, one lane per cEMI priority.
+ *
+ * shift() hands out the oldest request of the most urgent lane, but no more
+ * than options.telegramsPerSecond of them: when the next one is not due yet
+ * it returns null and emits 'ready' as soon as it is. At most
+ * options.maxQueueLength requests wait, push() throws a QueueFullError
+ * beyond that.
+ */
+class KnxOutboundQueue extends EventEmitter {
+  constructor(options) {
+    super();
+    this._maxLength = options.maxQueueLength;
+    this._interval =
+      options.telegramsPerSecond > 0 ? 1000 / options.telegramsPerSecond : 0;
+    this._lanes = {};
+    LANES.forEach((lane) => {
+      this._lanes[lane] = [];
+    });
+    this._lastShift = -Infinity;
+    this._pausedUntil = -Infinity;
+    this._timer = null;
+    this._dispatched = 0;
+    this._rejected = 0;
+    this._replaced = 0;
+    this._totalWait = 0;
+  }
+
+  static lane(priority) {
+    return PRIORITY_LANES[priority] || "low";
+  }
+
+  get length() {
+    return LANES.reduce((length, lane) => length + this._lanes[lane].length, 0);
+  }
+
+  push(id, request, priority) {
+    if (this.length >= this._maxLength) {
+      this._rejected++;
+      throw new QueueFullError(this._maxLength);
+    }
+    this._lanes[KnxOutboundQueue.lane(priority)].push({
+      id,
+      request,
+      queuedAt: now(),
+    });
+  }
+
+  shift() {
+    const lane = LANES.find((name) => this._lanes[name].length > 0);
+    if (!lane) return null;
+
+    const wait =
+      Math.max(this._lastShift + this._interval, this._pausedUntil) - now();
+    if (wait > 0) {
+      if (this._timer === null) {
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this.emit("ready");
+        }, Math.ceil(wait));
+      }
+      return null;
+    }
+
+    const entry = this._lanes[lane].shift();
+    this._lastShift = now();
+    this._dispatched++;
+    this._totalWait += this._lastShift - entry.queuedAt;
+    return entry.request;
+  }
+
+  // the ids of the waiting requests
+  ids() {
+    const ids = new Set();
+    LANES.forEach((lane) =>
+      this._lanes[lane].forEach((entry) => ids.add(entry.id))
+    );
+    return ids;
+  }
+
+  // hand out nothing for the next delay milliseconds
+  pause(delay) {
+    this._pausedUntil = Math.max(this._pausedUntil, now() + delay);
+  }
+
+  // put the request in place of the first waiting one that matches,
+  // returns the request it replaced or null
+  replace(predicate, id, request) {
+    for (const lane of LANES) {
+      const entry = this._lanes[lane].find((e) => predicate(e.request));
+      if (entry) {
+        const replaced = entry.request;
+        entry.id = id;
+        entry.request = request;
+        this._replaced++;
+        return replaced;
+      }
+    }
+    return null;
+  }
+
+  // take the request out again, e.g. when its caller gave up on it
+  remove(id) {
+    LANES.forEach((lane) => {
+      this._lanes[lane] = this._lanes[lane].filter((entry) => entry.id !== id);
+    });
+  }
+
+  // empty the queue, returns the requests that were waiting
+  clear() {
+    const requests = [];
+    LANES.forEach((lane) => {
+      this._lanes[lane].forEach((entry) => requests.push(entry.request));
+      this._lanes[lane] = [];
+    });
+    clearTimeout(this._timer);
+    this._timer = null;
+    return requests;
+  }
+
+  stats() {
+    const time = now();
+    const lanes = {};
+    let oldest = 0;
+    LANES.forEach((lane) => {
+      lanes[lane] = this._lanes[lane].length;
+      if (lanes[lane] > 0)
+        oldest = Math.max(oldest, time - this._lanes[lane][0].queuedAt);
+    });
+    return {
+      length: this.length,
+      lanes,
+      // milliseconds the oldest waiting request has been queued
+      oldestWait: Math.round(oldest),
+      // average milliseconds requests waited before they were sent
+      averageWait:
+        this._dispatched > 0
+          ? Math.round(this._totalWait / this._dispatched)
+          : 0,
+      dispatched: this._dispatched,
+      rejected: this._rejected,
+      replaced: this._replaced,
+    };
+  }
+}
+
+module.exports = KnxOutboundQueue;
@@ -0,0 +1,181 @@
+// milliseconds from a monotonic clock
+const now = () => {
+  const [seconds, nanoseconds] = process.hrtime();
+  return seconds * 1000 + nanoseconds / 1e6;
+};
+
+// resolution and size of the timer wheel
+const TICK = 10;
+const SLOTS = 512;
+
+/*
+ * Hashed timer wheel: the timeouts of all pending requests share a single
+ * interval timer, which only runs while there is a timeout to watch.
+ * Timeouts fire up to one tick late.
+ */
+class TimerWheel {
+  constructor(tick = TICK, slots = SLOTS) {
+    this._tick = tick;
+    this._slots = Array.from({ length: slots }, () => new Set());
+    this._size = 0;
+    // the last tick whose slot was checked
+    this._cursor = 0;
+    this._interval = null;
+  }
+
+  add(delay, callback) {
+    if (this._interval === null) this._start();
+    const deadline = now() + delay;
+    const tick = Math.max(Math.ceil(deadline / this._tick), this._cursor + 1);
+    const timer = {
+      deadline,
+      callback,
+      slot: this._slots[tick % this._slots.length],
+    };
+    timer.slot.add(timer);
+    this._size++;
+    return timer;
+  }
+
+  cancel(timer) {
+    if (timer && timer.slot.delete(timer)) {
+      this._size--;
+      if (this._size === 0) this._stop();
+    }
+  }
+
+  _start() {
+    this._cursor = Math.floor(now() / this._tick);
+    this._interval = setInterval(() => this._advance(), this._tick);
+  }
+
+  _stop() {
+    clearInterval(this._interval);
+    this._interval = null;
+  }
+
+  _advance() {
+    const current = now();
+    const target = Math.floor(current / this._tick);
+    // catch up on ticks a busy event loop skipped, at most one round
+    const from = Math.max(this._cursor + 1, target - this._slots.length + 1);
+    const due = [];
+    for (let tick = from; tick <= target; tick++) {
+      const slot = this._slots[tick % this._slots.length];
+      slot.forEach((timer) => {
+        // later rounds of the wheel stay in their slot
+        if (timer.deadline - current < this._tick) {
+          slot.delete(timer);
+          due.push(timer);
+        }
+      });
+    }
+    this._cursor = target;
+    this._size -= due.length;
+    if (this._size === 0) this._stop();
+    due.forEach((timer) => timer.callback());
+  }
+}
+
+const addTo = (map, key, entry) => {
+  let entries = map.get(key);
+  if (!entries) {
+    entries = new Set();
+    map.set(key, entries);
+  }
+  entries.add(entry);
+};
+
+const removeFrom = (map, key, entry) => {
+  const entries = map.get(key);
+  if (!entries) return;
+  entries.delete(entry);
+  if (entries.size === 0) map.delete(key);
+};
+
+// handlers remove their own entry when they settle, maybe others' too
+const dispatch = (entries, handle) => {
+  if (!entries) return;
+  Array.from(entries).forEach((entry) => {
+    if (!entry.removed) handle(entry);
+  });
+};
+
+/*
+ * Requests waiting for an answer, looked up by the uuid of their datagram
+ * (the ACK and L_Data.con) or by the response they wait for, e.g.
+ * "GroupValue_Response_1/2/3". add() takes
+ *   { uuid, onAck(response), onConfirmation(success),
+ *     response, onResponse(...args), timeout, onTimeout() }
+ * with only the handlers the request needs, and returns the entry to
+ * remove() once the request settled.
+ */
+class KnxPendingRequests {
+  constructor() {
+    this._acks = new Map();
+    this._confirmations = new Map();
+    this._responses = new Map();
+    this._timers = new TimerWheel();
+    this._entries = new Set();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  add(request) {
+    const entry = Object.assign({ timer: null, removed: false }, request);
+    if (entry.onAck) addTo(this._acks, entry.uuid, entry);
+    if (entry.onConfirmation) addTo(this._confirmations, entry.uuid, entry);
+    if (entry.onResponse) addTo(this._responses, entry.response, entry);
+    if (entry.onTimeout) {
+      entry.timer = this._timers.add(entry.timeout, () => {
+        if (!entry.removed) entry.onTimeout();
+      });
+    }
+    this._entries.add(entry);
+    return entry;
+  }
+
+  remove(entry) {
+    if (entry.removed) return;
+    entry.removed = true;
+    if (entry.onAck) removeFrom(this._acks, entry.uuid, entry);
+    if (entry.onConfirmation)
+      removeFrom(this._confirmations, entry.uuid, entry);
+    if (entry.onResponse) removeFrom(this._responses, entry.response, entry);
+    this._timers.cancel(entry.timer);
+    this._entries.delete(entry);
+  }
+
+  // fail every pending request as if refused with the error, except those
+  // whose uuid is in the keep set
+  abort(error, keep = new Set()) {
+    dispatch(this._entries, (entry) => {
+      if (keep.has(entry.uuid)) return;
+      if (entry.onAck) {
+        entry.onAck(error);
+      } else {
+        this.remove(entry);
+      }
+    });
+  }
+
+  ack(uuid, response) {
+    dispatch(this._acks.get(uuid), (entry) => entry.onAck(response));
+  }
+
+  confirm(uuid, success) {
+    dispatch(this._confirmations.get(uuid), (entry) =>
+      entry.onConfirmation(success)
+    );
+  }
+
+  respond(response, ...args) {
+    dispatch(this._responses.get(response), (entry) =>
+      entry.onResponse(...args)
+    );
+  }
+}
+
+module.exports = KnxPendingRequests;
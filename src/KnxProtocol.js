@@ -64,8 +64,10 @@ KnxProtocol.define("CRI", {
     }) //
       .UInt8("headerLength")
       .UInt8("connectionType")
-      .UInt8("knxLayer")
-      .UInt8("unused")
+      .tap(function (hdr) {
+        // management connections have no tunnel specific part
+        if (hdr.headerLength >= 4) this.UInt8("knxLayer").UInt8("unused");
+      })
       .tap((hdr) => {
         switch (hdr.connectionType) {
           case KnxConstants.CONNECTION_TYPE.DEVICE_MGMT_CONNECTION:
@@ -88,13 +90,69 @@ KnxProtocol.define("CRI", {
   write(value) {
     if (!value)
       return KnxLog.get().warn("CRI: cannot write null value for CRI");
+    if (
+      value.connectionType ===
+      KnxConstants.CONNECTION_TYPE.DEVICE_MGMT_CONNECTION
+    ) {
+      this.UInt8(0x02).UInt8(value.connectionType);
+      return;
+    }
     this.UInt8(0x04) // length
       .UInt8(value.connectionType)
       .UInt8(value.knxLayer)
       .UInt8(value.unused);
   },
 });
-KnxProtocol.lengths.CRI = (value) => (value ? 4 : 0);
+KnxProtocol.lengths.CRI = (value) => {
+  if (!value) return 0;
+  return value.connectionType ===
+    KnxConstants.CONNECTION_TYPE.DEVICE_MGMT_CONNECTION
+    ? 2
+    : 4;
+};
+
+/* CRD: connection response data block */
+// structure length, connection type, then for tunnel connections the
+// individual address the server assigned to the tunnel (2 bytes)
+KnxProtocol.define("CRD", {
+  read(propertyName) {
+    this.pushStack({
+      headerLength: 0,
+      connectionType: null,
+      knxAddress: null,
+    })
+      .UInt8("headerLength")
+      .UInt8("connectionType")
+      .tap(function (hdr) {
+        if (hdr.headerLength >= 4) {
+          this.raw("knxAddress", 2);
+        }
+      })
+      .tap((hdr) => {
+        if (hdr.knxAddress !== null) {
+          hdr.knxAddress = KnxAddress.toString(
+            hdr.knxAddress,
+            KnxAddress.TYPE.PHYSICAL
+          );
+        }
+      })
+      .popStack(propertyName, (data) => {
+        if (KnxProtocol.debug) KnxLog.get().trace("read CRD: %j", data);
+        return data;
+      });
+  },
+  write(value) {
+    if (!value) return KnxLog.get().warn("CRD: cannot write null value");
+    if (value.knxAddress) {
+      this.UInt8(0x04)
+        .UInt8(value.connectionType)
+        .raw(KnxAddress.parse(value.knxAddress, KnxAddress.TYPE.PHYSICAL), 2);
+    } else {
+      this.UInt8(0x02).UInt8(value.connectionType);
+    }
+  },
+});
+KnxProtocol.lengths.CRD = (value) => (value ? (value.knxAddress ? 4 : 2) : 0);
 
 // connection state response/request
 KnxProtocol.define("ConnState", {
@@ -194,9 +252,11 @@ KnxProtocol.define("HPAI", {
           );
         }
         switch (hdr.protocolType) {
+          case KnxConstants.PROTOCOL_TYPE.IPV4_UDP:
           case KnxConstants.PROTOCOL_TYPE.IPV4_TCP:
-            throw new Error("TCP is not supported");
+            break;
           default:
+            KnxLog.get().warn("Unknown HPAI protocol %d", hdr.protocolType);
         }
       })
       .popStack(propertyName, (data) => data);
@@ -214,66 +274,170 @@ KnxProtocol.lengths.HPAI = (value) => {
   return value ? 8 : 0;
 };
 
-KnxProtocol.define("DIBdevinfo", {
-  read: function (propertyName) {
-    this.pushStack({
-      physicalAddr: null,
-      serial: null,
-      name: null,
-      descriptionType: null,
-      unused: null,
-    })
-      .UInt8("headerLength")
-      .UInt8("descriptionType")
-      .raw("unused", 2)
-      .raw("physicalAddr", 2)
-      .raw("unused", 2)
-      .raw("serial", 6)
-      .raw("unused", 4)
-      .raw("unused", 6)
-      .raw("name", 30)
-      .tap(function (hdr) {
-        if (this.buffer.length < hdr.headerLength) {
-          if (KnxProtocol.debug)
-            KnxLog.get().trace(
-              "%d %d %d",
-              this.buffer.length,
-              this.offset,
-              hdr.headerLength
-            );
-          throw new Error("Incomplete KNXNet DIB Devinfo header");
+/* DIBs: a sequence of description information blocks */
+// every DIB starts with its length and description type
+const ipString = (buf) => ipaddr.fromByteArray(Array.from(buf)).toString();
+
+const serviceFamilies = (data) => {
+  const families = {};
+  for (let i = 0; i + 1 < data.length; i += 2) {
+    const name =
+      KnxConstants.keyText("SERVICE_FAMILY", data[i]) ||
+      util.format("0x%s", data[i].toString(16));
+    families[name] = data[i + 1];
+  }
+  return families;
+};
+
+const physicalAddress = (buf) =>
+  KnxAddress.toString(buf, KnxAddress.TYPE.PHYSICAL);
+
+const parseDIBs = (buf) => {
+  const dibs = {};
+  let offset = 0;
+  while (offset + 2 <= buf.length) {
+    const length = buf[offset];
+    if (length < 2) break;
+    const type = buf[offset + 1];
+    const data = buf.slice(offset + 2, offset + length);
+    switch (type) {
+      case KnxConstants.DESCRIPTION_TYPE.DEVICE_INFO: {
+        const name = data.slice(22, 52);
+        dibs.deviceInfo = {
+          medium: KnxConstants.keyText("KNX_MEDIUM", data[0]) || data[0],
+          programmingMode: Boolean(data[1] & 0x01),
+          individualAddress: physicalAddress(data.slice(2, 4)),
+          projectInstallationId: data.readUInt16BE(4),
+          serialNumber: data.slice(6, 12).toString("hex"),
+          multicastAddress: ipString(data.slice(12, 16)),
+          macAddress: Array.from(data.slice(16, 22))
+            .map((b) => b.toString(16).padStart(2, "0"))
+            .join(":"),
+          name: name.toString(
+            "latin1",
+            0,
+            name.indexOf(0) !== -1 ? name.indexOf(0) : name.length
+          ),
+        };
+        break;
+      }
+      case KnxConstants.DESCRIPTION_TYPE.SUPP_SVC_FAMILIES:
+        dibs.serviceFamilies = serviceFamilies(data);
+        break;
+      case KnxConstants.DESCRIPTION_TYPE.SECURED_SERVICE_FAMILIES:
+        dibs.securedServiceFamilies = serviceFamilies(data);
+        break;
+      case KnxConstants.DESCRIPTION_TYPE.IP_CONFIG:
+        dibs.ipConfig = {
+          ipAddress: ipString(data.slice(0, 4)),
+          subnetMask: ipString(data.slice(4, 8)),
+          defaultGateway: ipString(data.slice(8, 12)),
+          ipCapabilities: data[12],
+          ipAssignmentMethod: data[13],
+        };
+        break;
+      case KnxConstants.DESCRIPTION_TYPE.IP_CUR_CONFIG:
+        dibs.ipCurrentConfig = {
+          ipAddress: ipString(data.slice(0, 4)),
+          subnetMask: ipString(data.slice(4, 8)),
+          defaultGateway: ipString(data.slice(8, 12)),
+          dhcpServer: ipString(data.slice(12, 16)),
+          ipAssignmentMethod: data[16],
+        };
+        break;
+      case KnxConstants.DESCRIPTION_TYPE.KNX_ADDRESSES: {
+        const addresses = [];
+        for (let i = 0; i + 1 < data.length; i += 2) {
+          addresses.push(physicalAddress(data.slice(i, i + 2)));
         }
-        if (hdr.descriptionType !== 1) {
-          throw new Error("Unknown Devinfo structure");
+        dibs.knxAddresses = addresses;
+        break;
+      }
+      case KnxConstants.DESCRIPTION_TYPE.TUNNELING_INFO: {
+        const slots = [];
+        for (let i = 2; i + 3 < data.length; i += 4) {
+          const status = data.readUInt16BE(i + 2);
+          slots.push({
+            individualAddress: physicalAddress(data.slice(i, i + 2)),
+            free: Boolean(status & 0x01),
+            authorized: Boolean(status & 0x02),
+            usable: Boolean(status & 0x04),
+          });
         }
+        dibs.tunnelingInfo = { maxApduLength: data.readUInt16BE(0), slots };
+        break;
+      }
+      case KnxConstants.DESCRIPTION_TYPE.EXTENDED_DEVICE_INFO:
+        dibs.extendedDeviceInfo = {
+          mediumStatus: data[0],
+          maxApduLength: data.readUInt16BE(2),
+          deviceDescriptor: data.readUInt16BE(4),
+        };
+        break;
+      case KnxConstants.DESCRIPTION_TYPE.MFR_DATA:
+        dibs.manufacturerData = {
+          manufacturerId: data.readUInt16BE(0),
+          data: data.slice(2),
+        };
+        break;
+      default:
+        if (KnxProtocol.debug) KnxLog.get().trace("ignoring DIB type %d", type);
+    }
+    offset += length;
+  }
+  return dibs;
+};
 
-        hdr.physicalAddr = KnxAddress.toString(
-          hdr.physicalAddr,
-          KnxAddress.TYPE.PHYSICAL,
-          KnxProtocol.twoLevelAddressing
-        );
-        hdr.serial = hdr.serial.toString("hex");
-        hdr.name = hdr.name.toString(
-          "ascii",
-          0,
-          hdr.name.indexOf(0) !== -1 ? hdr.name.indexOf(0) : hdr.name.length
-        );
+KnxProtocol.define("DIBs", {
+  read(propertyName, length) {
+    this.raw(propertyName, length).tap((hdr) => {
+      hdr[propertyName] = parseDIBs(hdr[propertyName]);
+      if (KnxProtocol.debug)
+        KnxLog.get().trace("read DIBs: %j", hdr[propertyName]);
+    });
+  },
+  write(value) {
+    KnxLog.get().error("DIBs: not implemented");
+  },
+});
 
-        if (KnxProtocol.debug) {
-          KnxLog.get().trace("read DIB devinfo: %j", hdr);
-        }
-      })
-      .popStack(propertyName, function (data) {
-        return data;
+/* SRPs: search request parameters of a SEARCH_REQUEST_EXT */
+// length, mandatory flag | type, data
+KnxProtocol.define("SRPs", {
+  read(propertyName, length) {
+    if (length <= 0) {
+      this.tap((hdr) => {
+        hdr[propertyName] = [];
       });
+      return;
+    }
+    this.raw(propertyName, length).tap((hdr) => {
+      const buf = hdr[propertyName];
+      const srps = [];
+      let offset = 0;
+      while (offset + 2 <= buf.length && buf[offset] >= 2) {
+        srps.push({
+          type: buf[offset + 1] & 0x7f,
+          mandatory: Boolean(buf[offset + 1] & 0x80),
+          data: buf.slice(offset + 2, offset + buf[offset]),
+        });
+        offset += buf[offset];
+      }
+      hdr[propertyName] = srps;
+    });
   },
-  write: function (value) {
-    KnxLog.get().error("DIBdevinfo: not implemented");
+  write(value) {
+    if (!value) return;
+    value.forEach((srp) => {
+      this.UInt8(2 + srp.data.length).UInt8(
+        (srp.mandatory ? 0x80 : 0) | srp.type
+      );
+      if (srp.data.length > 0) this.raw(srp.data, srp.data.length);
+    });
   },
 });
-KnxProtocol.lengths.DIBdevinfo = function (value) {
-  return value ? 54 : 0;
-};
+KnxProtocol.lengths.SRPs = (value) =>
+  value ? value.reduce((length, srp) => length + 2 + srp.data.length, 0) : 0;
 
 /* ==================== APCI ====================== */
 //
@@ -456,6 +620,14 @@ KnxProtocol.define("APDU", {
   },
   write(value) {
     if (!value) throw new Error("cannot write null APDU value");
+    if (value.apduRaw) {
+      // already encoded, e.g. a KNX Data Secure S-A_Data
+      this.UInt8(value.apduRaw.length - 1).raw(
+        value.apduRaw,
+        value.apduRaw.length
+      );
+      return;
+    }
     const totalLength = knxlen("APDU", value);
     // if (KnxProtocol.debug) KnxLog.get().trace('APDU.write: \t%j (total %d bytes)', value, totalLength);
     if (KnxConstants.APCICODES.indexOf(value.apci) === -1)
@@ -492,6 +664,7 @@ KnxProtocol.define("APDU", {
 not always!), so that apduLength=1 means _2_ bytes following the apduLength */
 KnxProtocol.lengths.APDU = (value) => {
   if (!value) return 0;
+  if (value.apduRaw) return 1 + value.apduRaw.length;
   // if we have the APDU bitlength, usually by the DPT, then simply use it
   if (value.bitlength || (value.data && value.data.bitlength)) {
     const bitlen = value.bitlength || value.data.bitlength;
@@ -534,11 +707,117 @@ KnxProtocol.lengths.APDU = (value) => {
   }
 };
 
+/* additional information: type, length and data for each entry */
+const ADDINFO_TYPE = {
+  BUSMONITOR_STATUS: 0x03,
+  TIMESTAMP_RELATIVE: 0x04,
+  TIMESTAMP_EXTENDED: 0x06,
+};
+
+const parseAddInfo = (buf) => {
+  const addinfo = {};
+  if (!buf) return addinfo;
+  let offset = 0;
+  while (offset + 2 <= buf.length) {
+    const type = buf[offset];
+    const length = buf[offset + 1];
+    const data = buf.slice(offset + 2, offset + 2 + length);
+    switch (type) {
+      case ADDINFO_TYPE.BUSMONITOR_STATUS:
+        addinfo.status = {
+          frameError: Boolean(data[0] & 0x80),
+          bitError: Boolean(data[0] & 0x40),
+          parityError: Boolean(data[0] & 0x20),
+          lost: Boolean(data[0] & 0x08),
+          sequenceNumber: data[0] & 0x07,
+        };
+        break;
+      case ADDINFO_TYPE.TIMESTAMP_RELATIVE:
+        addinfo.timestamp = data.readUInt16BE(0);
+        break;
+      case ADDINFO_TYPE.TIMESTAMP_EXTENDED:
+        addinfo.extendedTimestamp = data.readUInt32BE(0);
+        break;
+      default:
+        if (KnxProtocol.debug)
+          KnxLog.get().trace("ignoring additional info type %d", type);
+    }
+    offset += 2 + length;
+  }
+  return addinfo;
+};
+
+/* TP1 frames as seen by a busmonitor */
+const TP1_SHORT_FRAMES = {
+  0xcc: "ACK",
+  0x0c: "NACK",
+  0xc0: "BUSY",
+  0x00: "NACK_BUSY",
+};
+
+// decode a raw TP1 frame: a short acknowledgement or a data frame
+KnxProtocol.decodeTP1Frame = (buf) => {
+  if (buf.length === 1 && TP1_SHORT_FRAMES[buf[0]] !== undefined) {
+    return { type: TP1_SHORT_FRAMES[buf[0]], raw: buf };
+  }
+  const ctrl = buf[0];
+  // standard frames: 10r1pp00, extended frames: 00r1pp00
+  const extended = (ctrl & 0xd3) === 0x10;
+  if (!extended && (ctrl & 0xd3) !== 0x90) {
+    return { type: "unknown", raw: buf };
+  }
+  const headerLength = extended ? 7 : 6;
+  if (buf.length < headerLength + 2) {
+    return { type: "unknown", raw: buf };
+  }
+  const addrInfo = extended ? buf[1] : buf[5];
+  const length = extended ? buf[6] : buf[5] & 0x0f;
+  const destAddrType = addrInfo >> 7;
+  const tpdu = buf.slice(headerLength, headerLength + length + 1);
+  let checksum = 0xff;
+  buf.slice(0, buf.length - 1).forEach((b) => (checksum ^= b));
+
+  const frame = {
+    type: "data",
+    raw: buf,
+    frameType: extended
+      ? KnxConstants.FRAMETYPE.EXTENDED
+      : KnxConstants.FRAMETYPE.STANDARD,
+    // the repeat bit is cleared on repetitions
+    repeated: !(ctrl & 0x20),
+    priority: (ctrl >> 2) & 0x03,
+    srcAddr: KnxAddress.toString(
+      buf.slice(extended ? 2 : 1, extended ? 4 : 3),
+      KnxAddress.TYPE.PHYSICAL,
+      KnxProtocol.twoLevelAddressing
+    ),
+    destAddr: KnxAddress.toString(
+      buf.slice(extended ? 4 : 3, extended ? 6 : 5),
+      destAddrType,
+      KnxProtocol.twoLevelAddressing
+    ),
+    destAddrType,
+    hopCount: (addrInfo >> 4) & 0x07,
+    tpdu,
+    apdu: null,
+    checksumValid: checksum === buf[buf.length - 1],
+  };
+  if (tpdu.length === length + 1 && tpdu.length >= 2) {
+    const reader = KnxProtocol.createReader(
+      Buffer.concat([Buffer.from([length]), tpdu])
+    );
+    reader.APDU("apdu");
+    frame.apdu = reader.next().apdu;
+  }
+  return frame;
+};
+
 KnxProtocol.define("CEMI", {
   read(propertyName) {
     this.pushStack({
       msgcode: 0,
       addinfoLength: -1,
+      addinfo: null,
       ctrl: null,
       srcAddr: null,
       destAddr: null,
@@ -546,31 +825,50 @@ KnxProtocol.define("CEMI", {
     })
       .UInt8("msgcode")
       .UInt8("addinfoLength")
-      .raw("ctrl", 2)
-      .raw("srcAddr", 2)
-      .raw("destAddr", 2)
       .tap(function (hdr) {
-        // parse 16bit control field
-        hdr.ctrl = ctrlStruct.parse(hdr.ctrl);
-        // KNX source addresses are always physical
-        hdr.srcAddr = KnxAddress.toString(
-          hdr.srcAddr,
-          KnxAddress.TYPE.PHYSICAL,
-          KnxProtocol.twoLevelAddressing
-        );
-        hdr.destAddr = KnxAddress.toString(
-          hdr.destAddr,
-          hdr.ctrl.destAddrType,
-          KnxProtocol.twoLevelAddressing
-        );
-        switch (hdr.msgcode) {
-          case KnxConstants.MESSAGECODES["L_Data.req"]:
-          case KnxConstants.MESSAGECODES["L_Data.ind"]:
-          case KnxConstants.MESSAGECODES["L_Data.con"]: {
-            this.APDU("apdu");
-            if (KnxProtocol.debug)
-              KnxLog.get().trace("--- unmarshalled APDU ==> %j", hdr.apdu);
-          }
+        if (hdr.addinfoLength > 0) this.raw("addinfo", hdr.addinfoLength);
+      })
+      .tap(function (hdr) {
+        hdr.addinfo = parseAddInfo(hdr.addinfo);
+        if (hdr.msgcode === KnxConstants.MESSAGECODES["L_Busmon.ind"]) {
+          // the frame as it was on the wire instead of cEMI fields
+          const remaining = this.buffer.length - this.offset;
+          if (remaining > 0) this.raw("rawFrame", remaining);
+          return;
+        }
+        this.raw("ctrl", 2)
+          .raw("srcAddr", 2)
+          .raw("destAddr", 2)
+          .tap(function (hdr) {
+            // parse 16bit control field
+            hdr.ctrl = ctrlStruct.parse(hdr.ctrl);
+            // KNX source addresses are always physical
+            hdr.srcAddr = KnxAddress.toString(
+              hdr.srcAddr,
+              KnxAddress.TYPE.PHYSICAL,
+              KnxProtocol.twoLevelAddressing
+            );
+            hdr.destAddr = KnxAddress.toString(
+              hdr.destAddr,
+              hdr.ctrl.destAddrType,
+              KnxProtocol.twoLevelAddressing
+            );
+            switch (hdr.msgcode) {
+              case KnxConstants.MESSAGECODES["L_Data.req"]:
+              case KnxConstants.MESSAGECODES["L_Data.ind"]:
+              case KnxConstants.MESSAGECODES["L_Data.con"]: {
+                this.APDU("apdu");
+                if (KnxProtocol.debug)
+                  KnxLog.get().trace("--- unmarshalled APDU ==> %j", hdr.apdu);
+              }
+            }
+          });
+      })
+      .tap((hdr) => {
+        if (hdr.msgcode === KnxConstants.MESSAGECODES["L_Busmon.ind"]) {
+          hdr.busmon = KnxProtocol.decodeTP1Frame(
+            hdr.rawFrame || Buffer.alloc(0)
+          );
         }
       })
       .popStack(propertyName, (data) => data);
@@ -631,6 +929,221 @@ KnxProtocol.lengths.CEMI = (value) => {
   return 8 + apduLength;
 };
 
+/* ============= CEMI device management ================ */
+
+// M_PropRead / M_PropWrite (on management connections, no additional info)
+// +--------+----------------+----------+--------+-------------+--------+
+// |  Msg   |   Interface    |  Object  |  PID   | NoE | Start |  Data  |
+// |  Code  |  Object Type   | Instance |        |     | Index |        |
+// +--------+----------------+----------+--------+-------------+--------+
+//   1 byte      2 bytes       1 byte    1 byte  4 bits 12 bits  n bytes
+// M_Reset consists of the message code only.
+// A negative confirmation has 0 elements and a 1 byte error code as data.
+const isResetCode = (msgcode) =>
+  msgcode === KnxConstants.MESSAGECODES["M_Reset.req"] ||
+  msgcode === KnxConstants.MESSAGECODES["M_Reset.ind"];
+
+KnxProtocol.define("CEMIManagement", {
+  read(propertyName) {
+    this.pushStack({
+      msgcode: 0,
+      objectType: null,
+      objectInstance: null,
+      propertyId: null,
+      numberOfElements: null,
+      startIndex: null,
+      data: null,
+    })
+      .UInt8("msgcode")
+      .tap(function (hdr) {
+        if (isResetCode(hdr.msgcode)) return;
+        this.UInt16BE("objectType")
+          .UInt8("objectInstance")
+          .UInt8("propertyId")
+          .UInt16BE("startIndex")
+          .tap(function (hdr) {
+            hdr.numberOfElements = hdr.startIndex >> 12;
+            hdr.startIndex = hdr.startIndex & 0x0fff;
+            const remaining = this.buffer.length - this.offset;
+            if (remaining > 0) this.raw("data", remaining);
+          });
+      })
+      .tap((hdr) => {
+        if (hdr.data === null) hdr.data = Buffer.alloc(0);
+        if (KnxProtocol.debug)
+          KnxLog.get().trace("read CEMIManagement: %j", hdr);
+      })
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null CEMIManagement value");
+    this.UInt8(value.msgcode);
+    if (isResetCode(value.msgcode)) return;
+    this.UInt16BE(value.objectType)
+      .UInt8(value.objectInstance)
+      .UInt8(value.propertyId)
+      .UInt16BE((value.numberOfElements << 12) | value.startIndex);
+    if (value.data && value.data.length > 0)
+      this.raw(value.data, value.data.length);
+  },
+});
+KnxProtocol.lengths.CEMIManagement = (value) => {
+  if (!value) return 0;
+  if (isResetCode(value.msgcode)) return 1;
+  return 7 + (value.data ? value.data.length : 0);
+};
+
+/* ==================== KNX IP Secure ====================== */
+
+// SECURE_WRAPPER: an encrypted KNXnet/IP frame
+// +------------+---------------+---------------+-------------+---------+-------+
+// | session id | sequence info | serial number | message tag | payload |  MAC  |
+// +------------+---------------+---------------+-------------+---------+-------+
+//    2 bytes       6 bytes         6 bytes         2 bytes      n bytes  16 bytes
+KnxProtocol.define("SecureWrapper", {
+  read(propertyName, payloadLength) {
+    this.pushStack({
+      sessionId: null,
+      sequenceInfo: null,
+      serialNumber: null,
+      messageTag: null,
+      payload: null,
+      mac: null,
+    })
+      .UInt16BE("sessionId")
+      .raw("sequenceInfo", 6)
+      .raw("serialNumber", 6)
+      .UInt16BE("messageTag")
+      .raw("payload", payloadLength)
+      .raw("mac", 16)
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null SecureWrapper value");
+    this.UInt16BE(value.sessionId)
+      .raw(value.sequenceInfo, 6)
+      .raw(value.serialNumber, 6)
+      .UInt16BE(value.messageTag)
+      .raw(value.payload)
+      .raw(value.mac, 16);
+  },
+});
+KnxProtocol.lengths.SecureWrapper = (value) =>
+  value ? 32 + value.payload.length : 0;
+
+KnxProtocol.define("SessionResponse", {
+  read(propertyName) {
+    this.pushStack({ sessionId: null, publicKey: null, mac: null })
+      .UInt16BE("sessionId")
+      .raw("publicKey", 32)
+      .raw("mac", 16)
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null SessionResponse value");
+    this.UInt16BE(value.sessionId).raw(value.publicKey, 32).raw(value.mac, 16);
+  },
+});
+KnxProtocol.lengths.SessionResponse = (value) => (value ? 50 : 0);
+
+KnxProtocol.define("SessionAuthenticate", {
+  read(propertyName) {
+    this.pushStack({ reserved: null, userId: null, mac: null })
+      .UInt8("reserved")
+      .UInt8("userId")
+      .raw("mac", 16)
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null SessionAuthenticate value");
+    this.UInt8(0x00).UInt8(value.userId).raw(value.mac, 16);
+  },
+});
+KnxProtocol.lengths.SessionAuthenticate = (value) => (value ? 18 : 0);
+
+KnxProtocol.define("SessionStatus", {
+  read(propertyName) {
+    this.pushStack({ status: null, reserved: null })
+      .UInt8("status")
+      .UInt8("reserved")
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null SessionStatus value");
+    this.UInt8(value.status).UInt8(0x00);
+  },
+});
+KnxProtocol.lengths.SessionStatus = (value) => (value ? 2 : 0);
+
+KnxProtocol.define("TimerNotify", {
+  read(propertyName) {
+    this.pushStack({
+      timer: null,
+      serialNumber: null,
+      messageTag: null,
+      mac: null,
+    })
+      .raw("timer", 6)
+      .raw("serialNumber", 6)
+      .UInt16BE("messageTag")
+      .raw("mac", 16)
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null TimerNotify value");
+    this.raw(value.timer, 6)
+      .raw(value.serialNumber, 6)
+      .UInt16BE(value.messageTag)
+      .raw(value.mac, 16);
+  },
+});
+KnxProtocol.lengths.TimerNotify = (value) => (value ? 30 : 0);
+
+// ROUTING_BUSY: pause sending for waitTime milliseconds
+KnxProtocol.define("RoutingBusy", {
+  read(propertyName) {
+    this.pushStack({
+      structureLength: null,
+      deviceState: null,
+      waitTime: null,
+      control: null,
+    })
+      .UInt8("structureLength")
+      .UInt8("deviceState")
+      .UInt16BE("waitTime")
+      .UInt16BE("control")
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null RoutingBusy value");
+    this.UInt8(6)
+      .UInt8(value.deviceState)
+      .UInt16BE(value.waitTime)
+      .UInt16BE(value.control || 0);
+  },
+});
+KnxProtocol.lengths.RoutingBusy = (value) => (value ? 6 : 0);
+
+// ROUTING_LOST_MESSAGE: telegrams a router had to drop
+KnxProtocol.define("RoutingLostMessage", {
+  read(propertyName) {
+    this.pushStack({
+      structureLength: null,
+      deviceState: null,
+      lostMessages: null,
+    })
+      .UInt8("structureLength")
+      .UInt8("deviceState")
+      .UInt16BE("lostMessages")
+      .popStack(propertyName, (data) => data);
+  },
+  write(value) {
+    if (!value) throw new Error("cannot write null RoutingLostMessage value");
+    this.UInt8(4).UInt8(value.deviceState).UInt16BE(value.lostMessages);
+  },
+});
+KnxProtocol.lengths.RoutingLostMessage = (value) => (value ? 4 : 0);
+
 KnxProtocol.define("KNXNetHeader", {
   read(propertyName) {
     this.pushStack({
@@ -659,12 +1172,22 @@ KnxProtocol.define("KNXNetHeader", {
             this.HPAI("hpai").HPAI("tunn").CRI("cri");
             break;
           }
-          case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE: {
+          case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT:
+            this.HPAI("hpai");
+            this.SRPs("srps", hdr.totalLength - hdr.headerLength - 8);
+            break;
+          case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE:
+          case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE_EXT: {
             this.HPAI("hpai");
-            this.DIBdevinfo("devinfo");
+            this.DIBs("dibs", hdr.totalLength - hdr.headerLength - 8);
+            break;
+          }
+          case KnxConstants.SERVICE_TYPE.CONNECT_RESPONSE: {
+            this.ConnState("connstate");
+            if (hdr.totalLength > 8) this.HPAI("hpai");
+            if (hdr.totalLength > 16) this.CRD("crd");
             break;
           }
-          case KnxConstants.SERVICE_TYPE.CONNECT_RESPONSE:
           case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_REQUEST:
           case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_RESPONSE:
           case KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST:
@@ -674,21 +1197,52 @@ KnxProtocol.define("KNXNetHeader", {
             if (hdr.totalLength > 16) this.CRI("cri");
             break;
           }
-          case KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE: {
-            this.raw("value", hdr.totalLength);
+          case KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST:
+            this.HPAI("hpai");
+            break;
+          case KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE:
+            this.DIBs("dibs", hdr.totalLength - hdr.headerLength);
             break;
-          }
           // most common case:
           case KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST:
             this.TunnState("tunnstate");
             this.CEMI("cemi");
             break;
           case KnxConstants.SERVICE_TYPE.TUNNELING_ACK:
+          case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_ACK:
             this.TunnState("tunnstate");
             break;
+          case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST:
+            this.TunnState("tunnstate");
+            this.CEMIManagement("cemi");
+            break;
           case KnxConstants.SERVICE_TYPE.ROUTING_INDICATION:
             this.CEMI("cemi");
             break;
+          case KnxConstants.SERVICE_TYPE.ROUTING_BUSY:
+            this.RoutingBusy("busy");
+            break;
+          case KnxConstants.SERVICE_TYPE.ROUTING_LOST_MESSAGE:
+            this.RoutingLostMessage("lostMessage");
+            break;
+          case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+            this.SecureWrapper("secure", hdr.totalLength - 38);
+            break;
+          case KnxConstants.SERVICE_TYPE.SESSION_REQUEST:
+            this.HPAI("hpai").raw("publicKey", 32);
+            break;
+          case KnxConstants.SERVICE_TYPE.SESSION_RESPONSE:
+            this.SessionResponse("session");
+            break;
+          case KnxConstants.SERVICE_TYPE.SESSION_AUTHENTICATE:
+            this.SessionAuthenticate("auth");
+            break;
+          case KnxConstants.SERVICE_TYPE.SESSION_STATUS:
+            this.SessionStatus("sessionStatus");
+            break;
+          case KnxConstants.SERVICE_TYPE.TIMER_NOTIFY:
+            this.TimerNotify("timer");
+            break;
           default: {
             KnxLog.get().warn(
               "read KNXNetHeader: unhandled serviceType = %s",
@@ -714,20 +1268,26 @@ KnxProtocol.define("KNXNetHeader", {
     switch (value.serviceType) {
       // case SERVICE_TYPE.SEARCH_REQUEST:
       case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST:
+      case KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST:
       case KnxConstants.SERVICE_TYPE.CONNECT_REQUEST: {
         if (value.hpai) this.HPAI(value.hpai);
         if (value.tunn) this.HPAI(value.tunn);
         if (value.cri) this.CRI(value.cri);
         break;
       }
+      case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT:
+        this.HPAI(value.hpai).SRPs(value.srps);
+        break;
       case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE:
       case KnxConstants.SERVICE_TYPE.CONNECT_RESPONSE:
       case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_REQUEST:
       case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_RESPONSE:
-      case KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST: {
+      case KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST:
+      case KnxConstants.SERVICE_TYPE.DISCONNECT_RESPONSE: {
         if (value.connstate) this.ConnState(value.connstate);
         if (value.hpai) this.HPAI(value.hpai);
         if (value.cri) this.CRI(value.cri);
+        if (value.crd) this.CRD(value.crd);
         break;
       }
       // most common case:
@@ -738,6 +1298,36 @@ KnxProtocol.define("KNXNetHeader", {
         if (value.cemi) this.CEMI(value.cemi);
         break;
       }
+      case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_ACK:
+      case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST: {
+        this.TunnState(value.tunnstate);
+        if (value.cemi) this.CEMIManagement(value.cemi);
+        break;
+      }
+      case KnxConstants.SERVICE_TYPE.ROUTING_BUSY:
+        this.RoutingBusy(value.busy);
+        break;
+      case KnxConstants.SERVICE_TYPE.ROUTING_LOST_MESSAGE:
+        this.RoutingLostMessage(value.lostMessage);
+        break;
+      case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+        this.SecureWrapper(value.secure);
+        break;
+      case KnxConstants.SERVICE_TYPE.SESSION_REQUEST:
+        this.HPAI(value.hpai).raw(value.publicKey, 32);
+        break;
+      case KnxConstants.SERVICE_TYPE.SESSION_RESPONSE:
+        this.SessionResponse(value.session);
+        break;
+      case KnxConstants.SERVICE_TYPE.SESSION_AUTHENTICATE:
+        this.SessionAuthenticate(value.auth);
+        break;
+      case KnxConstants.SERVICE_TYPE.SESSION_STATUS:
+        this.SessionStatus(value.sessionStatus);
+        break;
+      case KnxConstants.SERVICE_TYPE.TIMER_NOTIFY:
+        this.TimerNotify(value.timer);
+        break;
       // case KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE: {
       default: {
         throw util.format(
@@ -754,6 +1344,7 @@ KnxProtocol.lengths.KNXNetHeader = (value) => {
   switch (value.serviceType) {
     // case SERVICE_TYPE.SEARCH_REQUEST:
     case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST:
+    case KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST:
     case KnxConstants.SERVICE_TYPE.CONNECT_REQUEST:
       return (
         6 +
@@ -761,16 +1352,20 @@ KnxProtocol.lengths.KNXNetHeader = (value) => {
         knxlen("HPAI", value.tunn) +
         knxlen("CRI", value.cri)
       );
+    case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT:
+      return 6 + knxlen("HPAI", value.hpai) + knxlen("SRPs", value.srps);
     case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE:
     case KnxConstants.SERVICE_TYPE.CONNECT_RESPONSE:
     case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_REQUEST:
     case KnxConstants.SERVICE_TYPE.CONNECTIONSTATE_RESPONSE:
     case KnxConstants.SERVICE_TYPE.DISCONNECT_REQUEST:
+    case KnxConstants.SERVICE_TYPE.DISCONNECT_RESPONSE:
       return (
         6 +
         knxlen("ConnState", value.connstate) +
         knxlen("HPAI", value.hpai) +
-        knxlen("CRI", value.cri)
+        knxlen("CRI", value.cri) +
+        knxlen("CRD", value.crd)
       );
     case KnxConstants.SERVICE_TYPE.TUNNELING_ACK:
     case KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST:
@@ -779,6 +1374,29 @@ KnxProtocol.lengths.KNXNetHeader = (value) => {
       );
     case KnxConstants.SERVICE_TYPE.ROUTING_INDICATION:
       return 6 + knxlen("CEMI", value.cemi);
+    case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_ACK:
+    case KnxConstants.SERVICE_TYPE.DEVICE_CONFIGURATION_REQUEST:
+      return (
+        6 +
+        knxlen("TunnState", value.tunnstate) +
+        knxlen("CEMIManagement", value.cemi)
+      );
+    case KnxConstants.SERVICE_TYPE.ROUTING_BUSY:
+      return 6 + knxlen("RoutingBusy", value.busy);
+    case KnxConstants.SERVICE_TYPE.ROUTING_LOST_MESSAGE:
+      return 6 + knxlen("RoutingLostMessage", value.lostMessage);
+    case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+      return 6 + knxlen("SecureWrapper", value.secure);
+    case KnxConstants.SERVICE_TYPE.SESSION_REQUEST:
+      return 6 + knxlen("HPAI", value.hpai) + 32;
+    case KnxConstants.SERVICE_TYPE.SESSION_RESPONSE:
+      return 6 + knxlen("SessionResponse", value.session);
+    case KnxConstants.SERVICE_TYPE.SESSION_AUTHENTICATE:
+      return 6 + knxlen("SessionAuthenticate", value.auth);
+    case KnxConstants.SERVICE_TYPE.SESSION_STATUS:
+      return 6 + knxlen("SessionStatus", value.sessionStatus);
+    case KnxConstants.SERVICE_TYPE.TIMER_NOTIFY:
+      return 6 + knxlen("TimerNotify", value.timer);
   }
 };
 
@@ -0,0 +1,184 @@
+/**
+ * Cryptographic primitives for KNX IP Secure and KNX Data Secure:
+ * AES-128-CCM split into its CBC-MAC and CTR parts (the KNX specs define
+ * their own B0 and counter blocks), key derivation and X25519.
+ */
+const crypto = require("crypto");
+
+const KnxConstants = require("./KnxConstants");
+
+// DER encoding of an X25519 SubjectPublicKeyInfo, followed by the raw key
+const X25519_SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+
+// counter block used for the session handshake MACs
+const COUNTER_0_HANDSHAKE = Buffer.from(
+  "0000000000000000000000000000ff00",
+  "hex"
+);
+
+const zeroPad = (buf) => {
+  const rest = buf.length % 16;
+  return rest === 0 ? buf : Buffer.concat([buf, Buffer.alloc(16 - rest)]);
+};
+
+const uint16 = (value) => {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(value, 0);
+  return buf;
+};
+
+const uint48 = (value) => {
+  const buf = Buffer.alloc(6);
+  buf.writeUIntBE(value, 0, 6);
+  return buf;
+};
+
+const xor = (a, b) => {
+  const buf = Buffer.alloc(a.length);
+  for (let i = 0; i < a.length; i++) buf[i] = a[i] ^ b[i];
+  return buf;
+};
+
+// CBC-MAC over B0 | len(additional data) | additional data | payload
+const cbcMac = (key, additionalData, payload, block0) => {
+  const blocks = Buffer.concat([
+    block0 || Buffer.alloc(16),
+    uint16(additionalData.length),
+    additionalData,
+    payload || Buffer.alloc(0),
+  ]);
+  const cipher = crypto.createCipheriv("aes-128-cbc", key, Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  const out = Buffer.concat([cipher.update(zeroPad(blocks)), cipher.final()]);
+  return out.slice(-16);
+};
+
+// CTR mode: the MAC is encrypted with counter 0, the payload from counter 1 on.
+// Encryption and decryption are the same operation.
+const ctr = (key, counter0, mac, payload) => {
+  payload = payload || Buffer.alloc(0);
+  const cipher = crypto.createCipheriv("aes-128-ctr", key, counter0);
+  const out = Buffer.concat([
+    cipher.update(zeroPad(mac)),
+    cipher.update(payload),
+    cipher.final(),
+  ]);
+  return { mac: out.slice(0, mac.length), payload: out.slice(16) };
+};
+
+const pbkdf2 = (password, salt) =>
+  crypto.pbkdf2Sync(Buffer.from(password, "latin1"), salt, 65536, 16, "sha256");
+
+const deriveUserPassword = (password) =>
+  pbkdf2(password, "user-password.1.secure.ip.knx.org");
+
+const deriveDeviceAuthenticationCode = (code) =>
+  pbkdf2(code, "device-authentication-code.1.secure.ip.knx.org");
+
+const generateKeyPair = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("x25519");
+  return {
+    privateKey,
+    publicKey: publicKey.export({ format: "der", type: "spki" }).slice(-32),
+  };
+};
+
+// session key: first 16 bytes of the SHA256 of the X25519 shared secret
+const sessionKey = (privateKey, peerPublicKey) => {
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([X25519_SPKI_PREFIX, peerPublicKey]),
+    format: "der",
+    type: "spki",
+  });
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  return crypto.createHash("sha256").update(secret).digest().slice(0, 16);
+};
+
+// a key given as hex string or buffer
+const toKey = (key) => (Buffer.isBuffer(key) ? key : Buffer.from(key, "hex"));
+
+// the 6 byte KNXnet/IP header that is covered by the MACs
+const knxNetHeader = (serviceType, totalLength) =>
+  Buffer.concat([
+    Buffer.from([0x06, 0x10]),
+    uint16(serviceType),
+    uint16(totalLength),
+  ]);
+
+// wrap a plain KNXnet/IP frame into the fields of a SECURE_WRAPPER
+const wrap = (
+  key,
+  sessionId,
+  sequenceInfo,
+  serialNumber,
+  messageTag,
+  frame
+) => {
+  const tag = uint16(messageTag);
+  const header = knxNetHeader(
+    KnxConstants.SERVICE_TYPE.SECURE_WRAPPER,
+    38 + frame.length
+  );
+  const block0 = Buffer.concat([
+    sequenceInfo,
+    serialNumber,
+    tag,
+    uint16(frame.length),
+  ]);
+  const counter0 = Buffer.concat([
+    sequenceInfo,
+    serialNumber,
+    tag,
+    Buffer.from([0xff, 0x00]),
+  ]);
+  const macCbc = cbcMac(
+    key,
+    Buffer.concat([header, uint16(sessionId)]),
+    frame,
+    block0
+  );
+  const { mac, payload } = ctr(key, counter0, macCbc, frame);
+  return { sessionId, sequenceInfo, serialNumber, messageTag, payload, mac };
+};
+
+// decrypt and verify SECURE_WRAPPER fields, null if the MAC does not match
+const unwrap = (key, header, secure) => {
+  const tag = uint16(secure.messageTag);
+  const counter0 = Buffer.concat([
+    secure.sequenceInfo,
+    secure.serialNumber,
+    tag,
+    Buffer.from([0xff, 0x00]),
+  ]);
+  const { mac, payload } = ctr(key, counter0, secure.mac, secure.payload);
+  const block0 = Buffer.concat([
+    secure.sequenceInfo,
+    secure.serialNumber,
+    tag,
+    uint16(payload.length),
+  ]);
+  const macCbc = cbcMac(
+    key,
+    Buffer.concat([header, uint16(secure.sessionId)]),
+    payload,
+    block0
+  );
+  return crypto.timingSafeEqual(mac, macCbc) ? payload : null;
+};
+
+module.exports = {
+  COUNTER_0_HANDSHAKE,
+  uint16,
+  uint48,
+  xor,
+  cbcMac,
+  ctr,
+  deriveUserPassword,
+  deriveDeviceAuthenticationCode,
+  generateKeyPair,
+  sessionKey,
+  toKey,
+  knxNetHeader,
+  wrap,
+  unwrap,
+};
@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const KnxConstants = require("./KnxConstants");
+const KnxDatagram = require("./KnxDatagram");
+const KnxLog = require("./KnxLog");
+const KnxSecure = require("./KnxSecure");
+
+// a timekeeper announces its timer this often
+const PERIODIC_NOTIFY_INTERVAL = 10000;
+// upper bound for the random delay before correcting an outdated sender
+const MAX_UPDATE_NOTIFY_DELAY = 100;
+
+// milliseconds from a monotonic clock
+const now = () => {
+  const [seconds, nanoseconds] = process.hrtime();
+  return seconds * 1000 + Math.floor(nanoseconds / 1e6);
+};
+
+/*
+ * KNX IP Secure routing on top of the multicast routing socket.
+ *
+ * Every frame is sent in a SECURE_WRAPPER authenticated with the backbone
+ * key, using the shared multicast timer as sequence information. The timer
+ * is synchronised with the other devices through TIMER_NOTIFY. Received
+ * frames that fail authentication or whose timer is older than the latency
+ * tolerance are dropped and reported through a 'drop' event.
+ *
+ * TIMER_NOTIFY frames go to the multicast endpoint ({ addr, port }).
+ * Configuration comes from options.secureRouting:
+ *   { backboneKey, latencyTolerance, serialNumber }
+ */
+class KnxSecureRouting extends EventEmitter {
+  constructor(socket, options, endpoint) {
+    super();
+    this._options = options;
+    this._endpoint = endpoint;
+
+    const config = Object.assign(
+      { latencyTolerance: 2000 },
+      options.secureRouting
+    );
+    if (!config.backboneKey)
+      throw new Error("secureRouting: backboneKey is required");
+
+    this._key = KnxSecure.toKey(config.backboneKey);
+    this._latencyTolerance = config.latencyTolerance;
+    this._syncLatencyTolerance = config.latencyTolerance / 10;
+    this._serialNumber = config.serialNumber
+      ? KnxSecure.toKey(config.serialNumber)
+      : crypto.randomBytes(6);
+
+    this._timerOffset = 0;
+    // the timer value of the last SECURE_WRAPPER we sent
+    this._lastSentTimer = 0;
+    this._synchronized = false;
+    this._pending = [];
+    this._syncTimer = null;
+    this._notifyTimer = null;
+    this._updateTimers = [];
+
+    this._socket = socket;
+    socket.on("listening", () => this._start());
+    socket.on("message", (msg, rinfo) => this._onMessage(msg, rinfo));
+    socket.on("error", (err) => this.emit("error", err));
+  }
+
+  get timer() {
+    return now() + this._timerOffset;
+  }
+
+  send(buf, offset, length, port, addr, callback) {
+    const frame = buf.slice(offset, offset + length);
+    if (!this._synchronized) {
+      this._pending.push([frame, port, addr, callback]);
+      return;
+    }
+    this._sendWrapped(frame, port, addr, callback);
+  }
+
+  close() {
+    clearTimeout(this._syncTimer);
+    clearTimeout(this._notifyTimer);
+    this._updateTimers.forEach((timer) => clearTimeout(timer));
+    this._updateTimers = [];
+    this._pending = [];
+    this._socket.close();
+  }
+
+  _start() {
+    // ask the timekeeper for the current timer; if nobody answers within
+    // the latency tolerance we keep our own and become the timekeeper
+    this._sendTimerNotify();
+    this._syncTimer = setTimeout(() => {
+      KnxLog.get().info("No secure routing timer received, using our own");
+      this._setSynchronized();
+    }, 2 * this._latencyTolerance);
+  }
+
+  _setSynchronized() {
+    clearTimeout(this._syncTimer);
+    if (this._synchronized) return;
+    this._synchronized = true;
+    this._pending.forEach(([frame, port, addr, callback]) =>
+      this._sendWrapped(frame, port, addr, callback)
+    );
+    this._pending = [];
+  }
+
+  _updateTimer(timer) {
+    this._timerOffset = timer - now();
+    this._setSynchronized();
+  }
+
+  _scheduleNotify(delay) {
+    clearTimeout(this._notifyTimer);
+    this._notifyTimer = setTimeout(() => {
+      this._sendTimerNotify();
+    }, delay);
+  }
+
+  _write(dg, port, addr, callback) {
+    const buf = dg.toBuffer();
+    this._socket.send(buf, 0, buf.length, port, addr, callback);
+  }
+
+  _sendWrapped(frame, port, addr, callback) {
+    // the timer is part of the nonce: frames sent within the same
+    // millisecond must not share it
+    const timer = Math.max(this.timer, this._lastSentTimer + 1);
+    this._lastSentTimer = timer;
+    const dg = KnxDatagram.fromServiceRequest(
+      KnxConstants.SERVICE_TYPE.SECURE_WRAPPER,
+      this._options
+    );
+    dg.datagram.secure = KnxSecure.wrap(
+      this._key,
+      0,
+      KnxSecure.uint48(timer),
+      this._serialNumber,
+      0,
+      frame
+    );
+    this._write(dg, port, addr, callback);
+  }
+
+  // CBC-MAC and counter block of a TIMER_NOTIFY, which has no payload
+  _timerNotifyCcm(timer, serialNumber, messageTag) {
+    const tag = KnxSecure.uint16(messageTag);
+    const header = KnxSecure.knxNetHeader(
+      KnxConstants.SERVICE_TYPE.TIMER_NOTIFY,
+      36
+    );
+    return {
+      macCbc: KnxSecure.cbcMac(
+        this._key,
+        header,
+        null,
+        Buffer.concat([timer, serialNumber, tag, KnxSecure.uint16(0)])
+      ),
+      counter0: Buffer.concat([
+        timer,
+        serialNumber,
+        tag,
+        Buffer.from([0xff, 0x00]),
+      ]),
+    };
+  }
+
+  // serial number and message tag are echoed when correcting another device
+  _sendTimerNotify(serialNumber, messageTag) {
+    serialNumber = serialNumber || this._serialNumber;
+    if (messageTag === undefined)
+      messageTag = crypto.randomBytes(2).readUInt16BE(0);
+
+    const timer = KnxSecure.uint48(this.timer);
+    const { macCbc, counter0 } = this._timerNotifyCcm(
+      timer,
+      serialNumber,
+      messageTag
+    );
+    const dg = KnxDatagram.fromServiceRequest(
+      KnxConstants.SERVICE_TYPE.TIMER_NOTIFY,
+      this._options
+    );
+    dg.datagram.timer = {
+      timer,
+      serialNumber,
+      messageTag,
+      mac: KnxSecure.ctr(this._key, counter0, macCbc).mac,
+    };
+    KnxLog.get().trace("TIMER_NOTIFY =>> %d", timer.readUIntBE(0, 6));
+    this._write(dg, this._endpoint.port, this._endpoint.addr);
+    this._scheduleNotify(PERIODIC_NOTIFY_INTERVAL);
+  }
+
+  _scheduleUpdateNotify(serialNumber, messageTag) {
+    const timer = setTimeout(() => {
+      this._updateTimers.splice(this._updateTimers.indexOf(timer), 1);
+      this._sendTimerNotify(serialNumber, messageTag);
+    }, Math.random() * MAX_UPDATE_NOTIFY_DELAY);
+    this._updateTimers.push(timer);
+  }
+
+  _drop(reason, rinfo) {
+    KnxLog.get().warn(
+      "Dropping secure routing frame from %s: %s",
+      rinfo.address,
+      reason
+    );
+    this.emit("drop", reason, rinfo);
+  }
+
+  // returns true if the received timer value is acceptable
+  _checkTimer(received, serialNumber, messageTag) {
+    if (!this._synchronized) {
+      this._updateTimer(received);
+      return true;
+    }
+    const local = this.timer;
+    if (received > local + this._syncLatencyTolerance) {
+      // the sender is ahead of us, follow it
+      this._updateTimer(received);
+      return true;
+    }
+    if (received >= local - this._latencyTolerance) {
+      return true;
+    }
+    // the sender is behind, tell it about the current timer
+    this._scheduleUpdateNotify(serialNumber, messageTag);
+    return false;
+  }
+
+  _onMessage(msg, rinfo) {
+    const dg = KnxDatagram.parseKnxMessage(null, msg, rinfo, this._options);
+    if (dg === null) return;
+
+    switch (dg.datagram.serviceType) {
+      case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+        this._onSecureWrapper(msg.slice(0, 6), dg.datagram.secure, rinfo);
+        break;
+      case KnxConstants.SERVICE_TYPE.TIMER_NOTIFY:
+        this._onTimerNotify(dg.datagram.timer, rinfo);
+        break;
+      case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST:
+      case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE:
+      case KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT:
+      case KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE_EXT:
+        // discovery is not secured
+        break;
+      default:
+        this._drop("unsecured " + dg.datagramDesc(), rinfo);
+    }
+  }
+
+  _onSecureWrapper(header, secure, rinfo) {
+    if (secure.sessionId !== 0) {
+      this._drop("not a routing frame", rinfo);
+      return;
+    }
+    const frame = KnxSecure.unwrap(this._key, header, secure);
+    if (frame === null) {
+      this._drop("authentication failed", rinfo);
+      return;
+    }
+    const timer = secure.sequenceInfo.readUIntBE(0, 6);
+    if (!this._checkTimer(timer, secure.serialNumber, secure.messageTag)) {
+      this._drop("timer outside latency tolerance", rinfo);
+      return;
+    }
+    this.emit("message", frame, rinfo);
+  }
+
+  _onTimerNotify(notify, rinfo) {
+    const { macCbc, counter0 } = this._timerNotifyCcm(
+      notify.timer,
+      notify.serialNumber,
+      notify.messageTag
+    );
+    const { mac } = KnxSecure.ctr(this._key, counter0, notify.mac);
+    if (!crypto.timingSafeEqual(mac, macCbc)) {
+      this._drop("timer notify authentication failed", rinfo);
+      return;
+    }
+    const timer = notify.timer.readUIntBE(0, 6);
+    if (this._checkTimer(timer, notify.serialNumber, notify.messageTag)) {
+      // somebody else keeps the time, only step in if it goes quiet
+      this._scheduleNotify(
+        PERIODIC_NOTIFY_INTERVAL +
+          3 * this._latencyTolerance +
+          Math.random() * this._latencyTolerance
+      );
+    }
+  }
+}
+
+module.exports = KnxSecureRouting;
@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const util = require("util");
+const { EventEmitter } = require("events");
+
+const KnxConstants = require("./KnxConstants");
+const KnxDatagram = require("./KnxDatagram");
+const KnxLog = require("./KnxLog");
+const KnxSecure = require("./KnxSecure");
+
+// the server closes idle sessions after 60 seconds
+const KEEPALIVE_INTERVAL = 30000;
+
+/*
+ * A KNX IP Secure session on top of a TCP connection (KnxTcpSocket).
+ *
+ * Runs the SESSION_REQUEST / SESSION_AUTHENTICATE handshake when the
+ * connection is up, then wraps every outgoing frame into a SECURE_WRAPPER
+ * and unwraps incoming ones, so the connection FSM only ever sees plain
+ * KNXnet/IP frames. Frames sent before the session is authenticated are
+ * held back until it is.
+ *
+ * Credentials come from options.secureTunnel:
+ *   { userId, userPassword, deviceAuthenticationCode, serialNumber }
+ */
+class KnxSecureSession extends EventEmitter {
+  constructor(socket, options) {
+    super();
+    this._options = options;
+
+    const credentials = Object.assign({ userId: 2 }, options.secureTunnel);
+    if (!credentials.userPassword)
+      throw new Error("secureTunnel: userPassword is required");
+
+    this._userId = credentials.userId;
+    this._userPasswordKey = KnxSecure.deriveUserPassword(
+      credentials.userPassword
+    );
+    this._deviceAuthenticationKey = credentials.deviceAuthenticationCode
+      ? KnxSecure.deriveDeviceAuthenticationCode(
+          credentials.deviceAuthenticationCode
+        )
+      : null;
+    this._serialNumber = credentials.serialNumber
+      ? KnxSecure.toKey(credentials.serialNumber)
+      : crypto.randomBytes(6);
+
+    this._keyPair = KnxSecure.generateKeyPair();
+    this._key = null;
+    this._sessionId = null;
+    this._sequenceNumber = 0;
+    this._peerSequenceNumber = -1;
+    this._authenticated = false;
+    this._pending = [];
+    this._keepaliveTimer = null;
+
+    this._socket = socket;
+    socket.on("connect", () => this._requestSession());
+    socket.on("message", (msg, rinfo) => this._onMessage(msg, rinfo));
+    socket.on("error", (err) => this.emit("error", err));
+    socket.on("close", () => {
+      this._stop();
+      this.emit("close");
+    });
+  }
+
+  connect(port, addr, localAddress) {
+    this._socket.connect(port, addr, localAddress);
+    return this;
+  }
+
+  send(buf, offset, length, port, addr, callback) {
+    const frame = buf.slice(offset, offset + length);
+    if (!this._authenticated) {
+      this._pending.push([frame, callback]);
+      return;
+    }
+    this._sendWrapped(frame, callback);
+  }
+
+  close() {
+    if (this._authenticated) {
+      this._sendStatus(KnxConstants.SESSION_STATUS.CLOSE);
+    }
+    this._stop();
+    this._socket.close();
+  }
+
+  _stop() {
+    clearInterval(this._keepaliveTimer);
+    this._keepaliveTimer = null;
+    this._authenticated = false;
+    this._pending = [];
+  }
+
+  _fail(err) {
+    KnxLog.get().warn("Secure session failed: %s", err.message);
+    this.emit("error", err);
+    this._stop();
+    this._socket.close();
+    this.emit("close");
+  }
+
+  _write(buf, callback) {
+    this._socket.send(buf, 0, buf.length, null, null, callback);
+  }
+
+  _prepareDatagram(svcType) {
+    return KnxDatagram.fromServiceRequest(svcType, this._options);
+  }
+
+  _requestSession() {
+    const dg = this._prepareDatagram(KnxConstants.SERVICE_TYPE.SESSION_REQUEST);
+    dg.datagram.publicKey = this._keyPair.publicKey;
+    KnxLog.get().trace("SESSION_REQUEST =>>");
+    this._write(dg.toBuffer());
+  }
+
+  _authenticate(keyXor) {
+    const dg = this._prepareDatagram(
+      KnxConstants.SERVICE_TYPE.SESSION_AUTHENTICATE
+    );
+    dg.datagram.auth = { userId: this._userId, mac: Buffer.alloc(16) };
+    const header = dg.toBuffer().slice(0, 6);
+    const macCbc = KnxSecure.cbcMac(
+      this._userPasswordKey,
+      Buffer.concat([header, Buffer.from([0x00, this._userId]), keyXor])
+    );
+    dg.datagram.auth.mac = KnxSecure.ctr(
+      this._userPasswordKey,
+      KnxSecure.COUNTER_0_HANDSHAKE,
+      macCbc
+    ).mac;
+    KnxLog.get().trace("SESSION_AUTHENTICATE =>> (user %d)", this._userId);
+    this._sendWrapped(dg.toBuffer());
+  }
+
+  _sendStatus(status) {
+    const dg = this._prepareDatagram(KnxConstants.SERVICE_TYPE.SESSION_STATUS);
+    dg.datagram.sessionStatus = { status };
+    this._sendWrapped(dg.toBuffer());
+  }
+
+  _sendWrapped(frame, callback) {
+    const dg = this._prepareDatagram(KnxConstants.SERVICE_TYPE.SECURE_WRAPPER);
+    dg.datagram.secure = KnxSecure.wrap(
+      this._key,
+      this._sessionId,
+      KnxSecure.uint48(this._sequenceNumber++),
+      this._serialNumber,
+      0,
+      frame
+    );
+    this._write(dg.toBuffer(), callback);
+  }
+
+  _onMessage(msg, rinfo) {
+    const dg = KnxDatagram.parseKnxMessage(null, msg, rinfo, this._options);
+    if (dg === null) return;
+
+    switch (dg.datagram.serviceType) {
+      case KnxConstants.SERVICE_TYPE.SESSION_RESPONSE:
+        this._onSessionResponse(msg.slice(0, 6), dg.datagram.session);
+        break;
+      case KnxConstants.SERVICE_TYPE.SECURE_WRAPPER:
+        this._onSecureWrapper(msg.slice(0, 6), dg.datagram.secure, rinfo);
+        break;
+      default:
+        KnxLog.get().warn(
+          "Dropping unsecured %s in secure session",
+          dg.datagramDesc()
+        );
+    }
+  }
+
+  _onSessionResponse(header, session) {
+    if (this._key !== null) {
+      KnxLog.get().warn("Ignoring repeated SESSION_RESPONSE");
+      return;
+    }
+    this._sessionId = session.sessionId;
+    this._key = KnxSecure.sessionKey(
+      this._keyPair.privateKey,
+      session.publicKey
+    );
+    const keyXor = KnxSecure.xor(this._keyPair.publicKey, session.publicKey);
+
+    if (this._deviceAuthenticationKey) {
+      const expected = KnxSecure.cbcMac(
+        this._deviceAuthenticationKey,
+        Buffer.concat([header, KnxSecure.uint16(session.sessionId), keyXor])
+      );
+      const { mac } = KnxSecure.ctr(
+        this._deviceAuthenticationKey,
+        KnxSecure.COUNTER_0_HANDSHAKE,
+        session.mac
+      );
+      if (!crypto.timingSafeEqual(mac, expected)) {
+        this._fail(new Error("SESSION_RESPONSE failed device authentication"));
+        return;
+      }
+    } else {
+      KnxLog.get().warn(
+        "No device authentication code, cannot verify the KNXnet/IP server"
+      );
+    }
+    KnxLog.get().info("Secure session %d established", this._sessionId);
+    this._authenticate(keyXor);
+  }
+
+  _onSecureWrapper(header, secure, rinfo) {
+    if (secure.sessionId !== this._sessionId) {
+      KnxLog.get().warn("Dropping frame for session %d", secure.sessionId);
+      return;
+    }
+    const frame = KnxSecure.unwrap(this._key, header, secure);
+    if (frame === null) {
+      KnxLog.get().warn("Dropping frame with invalid MAC");
+      return;
+    }
+    const seqnum = secure.sequenceInfo.readUIntBE(0, 6);
+    if (seqnum <= this._peerSequenceNumber) {
+      KnxLog.get().warn(
+        "Dropping replayed frame (sequence %d, last %d)",
+        seqnum,
+        this._peerSequenceNumber
+      );
+      return;
+    }
+    this._peerSequenceNumber = seqnum;
+
+    if (frame.readUInt16BE(2) === KnxConstants.SERVICE_TYPE.SESSION_STATUS) {
+      this._onSessionStatus(frame.readUInt8(6));
+      return;
+    }
+    this.emit("message", frame, rinfo);
+  }
+
+  _onSessionStatus(status) {
+    switch (status) {
+      case KnxConstants.SESSION_STATUS.AUTHENTICATION_SUCCESS:
+        if (this._authenticated) return;
+        KnxLog.get().info("Secure session authenticated");
+        this._authenticated = true;
+        this._keepaliveTimer = setInterval(() => {
+          this._sendStatus(KnxConstants.SESSION_STATUS.KEEPALIVE);
+        }, KEEPALIVE_INTERVAL);
+        this._pending.forEach(([frame, callback]) =>
+          this._sendWrapped(frame, callback)
+        );
+        this._pending = [];
+        this.emit("authenticated");
+        break;
+      case KnxConstants.SESSION_STATUS.KEEPALIVE:
+        break;
+      default:
+        this._fail(
+          new Error(
+            util.format(
+              "Secure session status %s",
+              KnxConstants.keyText("SESSION_STATUS", status)
+            )
+          )
+        );
+    }
+  }
+}
+
+module.exports = KnxSecureSession;
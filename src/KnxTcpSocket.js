@@ -0,0 +1,94 @@
+const net = require("net");
+const { EventEmitter } = require("events");
+
+const KnxLog = require("./KnxLog");
+
+const HEADER_LENGTH = 6;
+
+/*
+ * A KNXnet/IP TCP connection, framed into individual KNXnet/IP messages.
+ * Exposes the subset of the dgram socket interface that the connection FSM
+ * uses, so datagrams can be sent and received without caring about the
+ * transport: 'message' events carry exactly one frame each.
+ */
+class KnxTcpSocket extends EventEmitter {
+  // keepAliveDelay: idle time in ms before TCP keep-alive probes start
+  constructor(keepAliveDelay) {
+    super();
+    this._keepAliveDelay = keepAliveDelay || 0;
+    this._socket = null;
+    this._buffer = Buffer.alloc(0);
+    this._rinfo = null;
+    this._closed = false;
+  }
+
+  connect(port, addr, localAddress) {
+    this._rinfo = { address: addr, port: parseInt(port), family: "IPv4" };
+
+    const socket = net.createConnection({
+      port: this._rinfo.port,
+      host: addr,
+      localAddress: localAddress || undefined,
+    });
+    socket.setNoDelay(true);
+    // the TCP connection replaces the UDP heartbeat as liveness check; the
+    // system default only starts probing after hours of silence
+    socket.setKeepAlive(true, this._keepAliveDelay);
+    socket.on("connect", () => this.emit("connect"));
+    socket.on("data", (chunk) => this._onData(chunk));
+    socket.on("error", (err) => this.emit("error", err));
+    socket.on("close", () => {
+      if (!this._closed) {
+        this._closed = true;
+        this.emit("close");
+      }
+    });
+    this._socket = socket;
+    return this;
+  }
+
+  _onData(chunk) {
+    this._buffer = Buffer.concat([this._buffer, chunk]);
+
+    while (this._buffer.length >= HEADER_LENGTH) {
+      const headerLength = this._buffer.readUInt8(0);
+      const totalLength = this._buffer.readUInt16BE(4);
+      if (headerLength !== HEADER_LENGTH || totalLength < HEADER_LENGTH) {
+        // we lost track of the frame boundaries, the stream is useless now
+        KnxLog.get().warn(
+          "Invalid KNXnet/IP header in TCP stream: %s",
+          this._buffer.slice(0, HEADER_LENGTH).toString("hex")
+        );
+        this._buffer = Buffer.alloc(0);
+        this._socket.destroy(new Error("Invalid KNXnet/IP header"));
+        return;
+      }
+      if (this._buffer.length < totalLength) {
+        // wait for the rest of the frame
+        return;
+      }
+      const frame = this._buffer.slice(0, totalLength);
+      this._buffer = this._buffer.slice(totalLength);
+      this.emit("message", frame, this._rinfo);
+    }
+  }
+
+  send(buf, offset, length, port, addr, callback) {
+    // the stream is connected to a single peer, port and address are implied
+    if (this._closed) {
+      if (typeof callback === "function")
+        callback(new Error("TCP connection is closed"));
+      return;
+    }
+    this._socket.write(buf.slice(offset, offset + length), callback);
+  }
+
+  close() {
+    this._closed = true;
+    if (this._socket) {
+      this._socket.destroy();
+    }
+  }
+}
+
+module.exports = KnxTcpSocket;
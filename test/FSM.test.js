@@ -0,0 +1,200 @@
+const assert = require("assert");
+const dgram = require("dgram");
+const net = require("net");
+
+const Connection = require("../src/FSM");
+
+const frame = (serviceType, hex) => {
+  const body = Buffer.from(hex, "hex");
+  const header = Buffer.from([0x06, 0x10, 0, 0, 0, 0]);
+  header.writeUInt16BE(serviceType, 2);
+  header.writeUInt16BE(6 + body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+const HPAI = "08017f0000010000";
+
+/*
+ * A tunnelling server that hands out channel 0x11, 0x12, ... with the
+ * individual addresses 1.1.1, 1.1.2, ... and only acknowledges and confirms
+ * telegrams that carry the channel and source address of the current
+ * connection.
+ */
+const gateway = () => {
+  const server = dgram.createSocket("udp4");
+  server.connects = 0;
+  server.telegrams = [];
+  const channel = () => 0x10 + server.connects;
+  server.reply = (serviceType, body) =>
+    server.send(
+      frame(serviceType, body),
+      server.client.port,
+      server.client.address
+    );
+  server.on("message", (msg, rinfo) => {
+    switch (msg.readUInt16BE(2)) {
+      case 0x0205: // CONNECT_REQUEST
+        server.connects++;
+        server.seqnum = 0;
+        server.client = rinfo;
+        server.reply(
+          0x0206,
+          channel().toString(16) + "00" + HPAI + "0404110" + server.connects
+        );
+        break;
+      case 0x0420: {
+        // TUNNELING_REQUEST
+        const telegram = {
+          channel: msg[7],
+          srcAddr: msg.toString("hex", 14, 16),
+          dest: msg.toString("hex", 16, 18),
+        };
+        server.telegrams.push(telegram);
+        if (
+          telegram.channel === channel() &&
+          telegram.srcAddr === "110" + server.connects
+        ) {
+          server.reply(
+            0x0421,
+            "04" +
+              channel().toString(16) +
+              msg[8].toString(16).padStart(2, "0") +
+              "00"
+          );
+          // the L_Data.con: the L_Data.req with another message code
+          const cemi = Buffer.from(msg.slice(10));
+          cemi[0] = 0x2e;
+          server.reply(
+            0x0420,
+            "04" +
+              channel().toString(16) +
+              server.seqnum.toString(16).padStart(2, "0") +
+              "00" +
+              cemi.toString("hex")
+          );
+          server.seqnum = (server.seqnum + 1) % 256;
+        }
+        break;
+      }
+      case 0x0209: // DISCONNECT_REQUEST
+        server.reply(0x020a, channel().toString(16) + "00");
+        break;
+    }
+  });
+  return server;
+};
+
+describe("FSM", () => {
+  let server;
+  let connection;
+
+  const connect = (options) => {
+    connection = new Connection(
+      Object.assign(
+        {
+          remoteEndpoint: "127.0.0.1:" + server.address().port,
+          telegramsPerSecond: 2,
+          reconnect: { initialDelay: 100, jitter: 0 },
+        },
+        options
+      )
+    );
+    return connection.connect();
+  };
+
+  beforeEach(async () => {
+    server = gateway();
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(async () => {
+    await connection.disconnect();
+    server.close();
+  });
+
+  it("sends requests queued before a server DISCONNECT_REQUEST on the new channel", async () => {
+    const disconnects = [];
+    await connect();
+    connection.on("disconnected", (err) => disconnects.push(err));
+    const first = connection.write("1/0/2", 1, "DPT1.001", 3000);
+    const queued = connection.write("1/0/3", 1, "DPT1.001", 3000);
+    // the second one waits for the pacing
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    server.reply(0x0209, "1124" + HPAI);
+
+    await first;
+    await queued;
+    assert.strictEqual(server.connects, 2);
+    assert.deepStrictEqual(server.telegrams.slice(-1), [
+      { channel: 0x12, srcAddr: "1102", dest: "0803" },
+    ]);
+    assert.strictEqual(disconnects.length, 1);
+    assert.strictEqual(disconnects[0].reason, "DISCONNECTED_BY_SERVER");
+    assert.strictEqual(disconnects[0].status, "E_NO_MORE_CONNECTIONS");
+    assert.strictEqual(
+      disconnects[0].message,
+      "Disconnected by server (E_NO_MORE_CONNECTIONS)"
+    );
+  });
+
+  it("does not report the L_Data.con of a write as a group event", async () => {
+    await connect({ waitForConfirmation: true });
+    const events = [];
+    connection.on("event", (...args) => events.push(args));
+    await connection.write("1/0/2", 1, "DPT1.001", 3000);
+    // the L_Data.con of an unknown write is still passed on
+    server.reply(0x0420, "04110100" + "2e00bce0110508050100" + "81");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(events, [
+      ["GroupValue_Write", "1.1.5", "1/0/5", Buffer.from([0x01])],
+    ]);
+  });
+});
+
+describe("FSM over TCP", () => {
+  // a port nobody listens on
+  const refusedPort = async () => {
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const port = server.address().port;
+    await new Promise((resolve) => server.close(resolve));
+    return port;
+  };
+
+  it("fails connect() when the connection is refused", async () => {
+    const connection = new Connection({
+      remoteEndpoint: "127.0.0.1:" + (await refusedPort()),
+      transport: "tcp",
+      reconnect: { maxAttempts: 0 },
+    });
+    const failures = [];
+    connection.on("connect_failed", (err) => failures.push(err));
+    try {
+      await assert.rejects(connection.connect(), (err) => {
+        assert.strictEqual(err.reason, "CONNECTION_CLOSED");
+        assert.match(
+          err.message,
+          /closed before the CONNECT_RESPONSE: .*ECONNREFUSED/
+        );
+        return true;
+      });
+      assert.strictEqual(failures.length, 1);
+    } finally {
+      await connection.disconnect();
+    }
+  });
+});
+
+describe("FSM failback", () => {
+  it("probes the primary gateway without keeping the process alive", async () => {
+    const connection = new Connection({
+      gateways: ["127.0.0.1:3671", "127.0.0.1:3672"],
+    });
+    // on the backup
+    connection._remoteControlEndpoint = { addr: "127.0.0.1", port: 3672 };
+    connection._startFailback();
+    assert.strictEqual(connection._failbackTimer.hasRef(), false);
+    await connection.disconnect();
+    assert.strictEqual(connection._failbackTimer, null);
+  });
+});
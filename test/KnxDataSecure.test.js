@@ -0,0 +1,114 @@
+const assert = require("assert");
+
+const KnxConstants = require("../src/KnxConstants");
+const KnxDatagram = require("../src/KnxDatagram");
+const KnxDataSecure = require("../src/KnxDataSecure");
+
+const OPTIONS = {
+  twoLevelAddressing: false,
+  dataSecure: {
+    groupKeys: { "1/2/3": "000102030405060708090a0b0c0d0e0f" },
+    sequenceNumber: 1000,
+  },
+};
+
+// first byte after the TPCI/APCI word, SCF and sequence number
+const HEADER_OFFSET = 9;
+
+// the CEMI of a GroupValue_Write to the group, as it arrives on the other side
+const transmit = (groupAddress, value, dpt, options, sender) => {
+  const dg = KnxDatagram.fromServiceRequest(
+    KnxConstants.SERVICE_TYPE.TUNNELING_REQUEST,
+    options,
+    { addr: "192.0.2.1", port: 3671 },
+    1,
+    "1.1.5"
+  );
+  dg.makeWriteRequest(groupAddress, value, dpt);
+  if (sender) sender.secure(dg.datagram.cemi);
+  return KnxDatagram.parseKnxMessage(null, dg.toBuffer(), {}, options).datagram
+    .cemi;
+};
+
+describe("KnxDataSecure", () => {
+  [true, false].forEach((encrypt) => {
+    describe(encrypt ? "encrypted" : "authenticated only", () => {
+      const options = Object.assign({}, OPTIONS, {
+        dataSecure: Object.assign({ encrypt }, OPTIONS.dataSecure),
+      });
+
+      it("restores the plain APDU", () => {
+        const cemi = transmit(
+          "1/2/3",
+          21.5,
+          "DPT9.001",
+          options,
+          new KnxDataSecure(options)
+        );
+        assert.strictEqual(cemi.apdu.apci, "OTHER");
+        const plain = new KnxDataSecure(options).unsecure(cemi);
+        assert.strictEqual(plain.apdu.apci, "GroupValue_Write");
+        assert.deepStrictEqual(plain.apdu.data, Buffer.from([0x0c, 0x33]));
+      });
+
+      it("rejects a replayed sequence number", () => {
+        const receiver = new KnxDataSecure(options);
+        const cemi = transmit(
+          "1/2/3",
+          1,
+          "DPT1.001",
+          options,
+          new KnxDataSecure(options)
+        );
+        receiver.unsecure(cemi);
+        assert.throws(() => receiver.unsecure(cemi), /Replayed sequence/);
+      });
+
+      it("binds the MAC to the source address", () => {
+        const cemi = transmit(
+          "1/2/3",
+          1,
+          "DPT1.001",
+          options,
+          new KnxDataSecure(options)
+        );
+        cemi.srcAddr = "15.15.15";
+        assert.throws(
+          () => new KnxDataSecure(options).unsecure(cemi),
+          /Authentication failed/
+        );
+      });
+
+      it("rejects a modified APDU", () => {
+        const cemi = transmit(
+          "1/2/3",
+          1,
+          "DPT1.001",
+          options,
+          new KnxDataSecure(options)
+        );
+        cemi.apdu.apduRaw[HEADER_OFFSET] ^= 1;
+        assert.throws(
+          () => new KnxDataSecure(options).unsecure(cemi),
+          /Authentication failed/
+        );
+      });
+    });
+  });
+
+  it("rejects unsecured telegrams for a secure group", () => {
+    const cemi = transmit("1/2/3", 1, "DPT1.001", OPTIONS);
+    assert.throws(
+      () => new KnxDataSecure(OPTIONS).unsecure(cemi),
+      /Unsecured telegram for secure group 1\/2\/3/
+    );
+  });
+
+  it("leaves other groups alone", () => {
+    const sender = new KnxDataSecure(OPTIONS);
+    const cemi = transmit("1/2/4", 1, "DPT1.001", OPTIONS, sender);
+    assert.strictEqual(cemi.apdu.apci, "GroupValue_Write");
+    assert.strictEqual(sender.sequenceNumber, 1000);
+    assert.strictEqual(new KnxDataSecure(OPTIONS).unsecure(cemi), cemi);
+  });
+});
@@ -0,0 +1,298 @@
+const assert = require("assert");
+const dgram = require("dgram");
+
+const Connection = require("../src/FSM");
+const KnxConstants = require("../src/KnxConstants");
+const KnxDatagram = require("../src/KnxDatagram");
+const KnxDiscovery = require("../src/KnxDiscovery");
+
+const OPTIONS = { twoLevelAddressing: false };
+
+const hex = (value) => Buffer.from(value.replace(/\s/g, ""), "hex");
+
+const frame = (serviceType, ...parts) => {
+  const body = Buffer.concat(parts);
+  const header = Buffer.from([0x06, 0x10, 0, 0, 0, 0]);
+  header.writeUInt16BE(serviceType, 2);
+  header.writeUInt16BE(6 + body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+const name = Buffer.alloc(30);
+name.write("Test IP Interface", "latin1");
+
+const DIBS = {
+  // TP1, programming mode, 1.1.0, project 1, serial, multicast, MAC, name
+  deviceInfo: Buffer.concat([
+    hex("3601 02 01 1100 0001 00fa12345678 e000170c 0024a1b2c3d4"),
+    name,
+  ]),
+  // core 2, device management 2, tunnelling 2, security 1
+  serviceFamilies: hex("0a02 0202 0302 0402 0901"),
+  ipConfig: hex("1003 c0a8010a ffffff00 c0a80101 07 01"),
+  ipCurrentConfig: hex("1404 c0a8010a ffffff00 c0a80101 00000000 01 00"),
+  knxAddresses: hex("0805 1100 1105 1106"),
+  // max APDU 248, 1.1.5 free and usable, 1.1.6 usable but taken
+  tunnelingInfo: hex("0c07 00f8 1105 0005 1106 0004"),
+  extendedDeviceInfo: hex("0808 01 00 00f8 091a"),
+  manufacturerData: hex("06fe 00fa 0102"),
+};
+
+const EXPECTED = {
+  deviceInfo: {
+    medium: "TP1",
+    programmingMode: true,
+    individualAddress: "1.1.0",
+    projectInstallationId: 1,
+    serialNumber: "00fa12345678",
+    multicastAddress: "224.0.23.12",
+    macAddress: "00:24:a1:b2:c3:d4",
+    name: "Test IP Interface",
+  },
+  serviceFamilies: {
+    CORE: 2,
+    DEVICE_MANAGEMENT: 2,
+    TUNNELLING: 2,
+    SECURITY: 1,
+  },
+  ipConfig: {
+    ipAddress: "192.168.1.10",
+    subnetMask: "255.255.255.0",
+    defaultGateway: "192.168.1.1",
+    ipCapabilities: 7,
+    ipAssignmentMethod: 1,
+  },
+  ipCurrentConfig: {
+    ipAddress: "192.168.1.10",
+    subnetMask: "255.255.255.0",
+    defaultGateway: "192.168.1.1",
+    dhcpServer: "0.0.0.0",
+    ipAssignmentMethod: 1,
+  },
+  knxAddresses: ["1.1.0", "1.1.5", "1.1.6"],
+  tunnelingInfo: {
+    maxApduLength: 248,
+    slots: [
+      {
+        individualAddress: "1.1.5",
+        free: true,
+        authorized: false,
+        usable: true,
+      },
+      {
+        individualAddress: "1.1.6",
+        free: false,
+        authorized: false,
+        usable: true,
+      },
+    ],
+  },
+  extendedDeviceInfo: {
+    mediumStatus: 1,
+    maxApduLength: 248,
+    deviceDescriptor: 0x091a,
+  },
+  manufacturerData: { manufacturerId: 0xfa, data: hex("0102") },
+};
+
+const parse = (buf) =>
+  KnxDatagram.parseKnxMessage(null, buf, {}, OPTIONS).datagram;
+
+describe("DIBs", () => {
+  it("parses every DIB of a DESCRIPTION_RESPONSE", () => {
+    const datagram = parse(
+      frame(
+        KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE,
+        ...Object.values(DIBS)
+      )
+    );
+    assert.deepStrictEqual(datagram.dibs, EXPECTED);
+  });
+
+  it("skips unknown DIBs", () => {
+    const datagram = parse(
+      frame(
+        KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE,
+        hex("0477 abcd"),
+        DIBS.serviceFamilies
+      )
+    );
+    assert.deepStrictEqual(datagram.dibs, {
+      serviceFamilies: EXPECTED.serviceFamilies,
+    });
+  });
+
+  it("turns a SEARCH_RESPONSE into a gateway record", () => {
+    const datagram = parse(
+      frame(
+        KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE,
+        hex("0801 c0a8010a 0e57"),
+        DIBS.deviceInfo,
+        DIBS.serviceFamilies
+      )
+    );
+    const gateway = KnxDiscovery.gatewayRecord(datagram, {
+      address: "192.168.1.10",
+      port: 3671,
+    });
+    assert.deepStrictEqual(gateway.endpoint, {
+      addr: "192.168.1.10",
+      port: 3671,
+    });
+    assert.strictEqual(gateway.individualAddress, "1.1.0");
+    assert.strictEqual(gateway.name, "Test IP Interface");
+    assert.deepStrictEqual(gateway.serviceFamilies, EXPECTED.serviceFamilies);
+    assert.strictEqual(gateway.tunnelingInfo, null);
+  });
+
+  it("answers to where a NAT-ed SEARCH_RESPONSE came from", () => {
+    const datagram = parse(
+      frame(
+        KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE,
+        hex("0801 00000000 0000"),
+        DIBS.deviceInfo
+      )
+    );
+    const gateway = KnxDiscovery.gatewayRecord(datagram, {
+      address: "203.0.113.5",
+      port: 40000,
+    });
+    assert.deepStrictEqual(gateway.endpoint, {
+      addr: "203.0.113.5",
+      port: 40000,
+    });
+  });
+
+  it("describes a server over UDP", async () => {
+    const server = dgram.createSocket("udp4");
+    const requests = [];
+    server.on("message", (msg, rinfo) => {
+      requests.push(parse(msg).serviceType);
+      server.send(
+        frame(
+          KnxConstants.SERVICE_TYPE.DESCRIPTION_RESPONSE,
+          DIBS.deviceInfo,
+          DIBS.tunnelingInfo
+        ),
+        rinfo.port,
+        rinfo.address
+      );
+    });
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+    try {
+      const endpoint = { addr: "127.0.0.1", port: server.address().port };
+      const description = await KnxDiscovery.describe(endpoint, {
+        timeout: 1000,
+      });
+      assert.deepStrictEqual(requests, [
+        KnxConstants.SERVICE_TYPE.DESCRIPTION_REQUEST,
+      ]);
+      assert.deepStrictEqual(description, {
+        endpoint,
+        deviceInfo: EXPECTED.deviceInfo,
+        tunnelingInfo: EXPECTED.tunnelingInfo,
+      });
+    } finally {
+      server.close();
+    }
+  });
+
+  it("fails to describe a connection without a gateway at once", async () => {
+    await assert.rejects(new Connection({}).describe(), {
+      name: "ConnectionError",
+      reason: "NO_ENDPOINT",
+    });
+    await assert.rejects(KnxDiscovery.describe(null), {
+      reason: "NO_ENDPOINT",
+    });
+  });
+});
+
+describe("SRPs", () => {
+  const request = (extendedSearch) =>
+    KnxDatagram.fromServiceRequest(
+      KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT,
+      Object.assign({ extendedSearch }, OPTIONS),
+      { addr: "224.0.23.12", port: 3671 }
+    );
+
+  it("survive a round trip through a SEARCH_REQUEST_EXT", () => {
+    const dg = request({
+      programmingMode: true,
+      macAddress: "00:24:a1:b2:c3:d4",
+      serviceFamilies: { TUNNELLING: 2 },
+      dibs: ["DEVICE_INFO", "TUNNELING_INFO", "SUPP_SVC_FAMILIES"],
+    });
+    const datagram = parse(dg.toBuffer());
+    assert.strictEqual(
+      datagram.serviceType,
+      KnxConstants.SERVICE_TYPE.SEARCH_REQUEST_EXT
+    );
+    assert.deepStrictEqual(datagram.srps, dg.datagram.srps);
+    assert.deepStrictEqual(datagram.srps, [
+      { type: 0x01, mandatory: true, data: Buffer.alloc(0) },
+      { type: 0x02, mandatory: true, data: hex("0024a1b2c3d4") },
+      { type: 0x03, mandatory: true, data: hex("0402") },
+      // padded to an even length
+      { type: 0x04, mandatory: true, data: hex("01070200") },
+    ]);
+  });
+
+  it("are empty for an unrestricted search", () => {
+    assert.deepStrictEqual(parse(request({}).toBuffer()).srps, []);
+  });
+
+  it("reject what they cannot encode", () => {
+    assert.throws(
+      () => request({ macAddress: "00:24:a1" }),
+      /Invalid MAC address 00:24:a1/
+    );
+    assert.throws(
+      () => request({ serviceFamilies: { NOPE: 1 } }),
+      /Unknown service family NOPE/
+    );
+    assert.throws(() => request({ dibs: ["NOPE"] }), /Unknown DIB type NOPE/);
+  });
+});
+
+describe("gateway selection", () => {
+  // the gateway at 1.1.0 with MAC address 00:24:a1:b2:c3:d4
+  const gateway = KnxDiscovery.gatewayRecord(
+    parse(
+      frame(
+        KnxConstants.SERVICE_TYPE.SEARCH_RESPONSE_EXT,
+        hex("0801 c0a8010a 0e57"),
+        DIBS.deviceInfo
+      )
+    ),
+    { address: "192.168.1.10", port: 3671 }
+  );
+  const selects = (options) => new Connection(options)._selectGateway(gateway);
+
+  it("only takes the gateway at physServerAddr by default", async () => {
+    assert.strictEqual(await selects({}), false);
+    assert.strictEqual(await selects({ physServerAddr: "1.1.0" }), true);
+    assert.strictEqual(
+      await selects({ extendedSearch: { serviceFamilies: { TUNNELLING: 2 } } }),
+      false
+    );
+  });
+
+  it("takes the first answer to a search by MAC address or programming mode", async () => {
+    assert.strictEqual(
+      await selects({ extendedSearch: { macAddress: "00:24:a1:b2:c3:d4" } }),
+      true
+    );
+    assert.strictEqual(
+      await selects({ extendedSearch: { programmingMode: true } }),
+      true
+    );
+    assert.strictEqual(
+      await selects({
+        extendedSearch: { programmingMode: true },
+        selectGateway: { name: /^Other/ },
+      }),
+      false
+    );
+  });
+});
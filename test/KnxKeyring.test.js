@@ -0,0 +1,108 @@
+const assert = require("assert");
+const crypto = require("crypto");
+
+const KnxKeyring = require("../src/KnxKeyring");
+
+const PASSWORD = "keyring password";
+const CREATED = "2021-03-01T10:00:00";
+
+// encrypted the way ETS does it
+const passwordHash = crypto.pbkdf2Sync(
+  PASSWORD,
+  "1.keyring.ets.knx.org",
+  65536,
+  16,
+  "sha256"
+);
+const iv = crypto.createHash("sha256").update(CREATED).digest().slice(0, 16);
+
+const encrypt = (data) => {
+  const cipher = crypto.createCipheriv("aes-128-cbc", passwordHash, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]).toString(
+    "base64"
+  );
+};
+
+const encryptPassword = (password) => {
+  const data = Buffer.concat([crypto.randomBytes(8), Buffer.from(password)]);
+  const padding = 16 - (data.length % 16);
+  return encrypt(Buffer.concat([data, Buffer.alloc(padding, padding)]));
+};
+
+const BACKBONE_KEY = Buffer.alloc(16, 0x07);
+const GROUP_KEY = Buffer.alloc(16, 0x09);
+
+const XML = `<?xml version="1.0" encoding="utf-8"?>
+<Keyring Project="Test &amp; Co" CreatedBy="ETS 5.7.5" Created="${CREATED}" xmlns="http://knx.org/xml/keyring/1">
+  <Backbone MulticastAddress="224.0.23.12" Latency="1000" Key="${encrypt(
+    BACKBONE_KEY
+  )}" />
+  <Interface Type="Tunneling" Host="1.1.0" IndividualAddress="1.1.5" UserID="3" Password="${encryptPassword(
+    "tunnel password"
+  )}">
+    <Group Address="2561" Senders="1.1.1" />
+  </Interface>
+  <Interface Type="Tunneling" Host="1.1.0" IndividualAddress="1.1.6" UserID="4" Password="${encryptPassword(
+    "other password"
+  )}" Authentication="${encryptPassword("interface code")}" />
+  <GroupAddresses>
+    <Group Address="2561" Key="${encrypt(GROUP_KEY)}" />
+  </GroupAddresses>
+  <Devices>
+    <Device IndividualAddress="1.1.0" SerialNumber="00FA12345678" Authentication="${encryptPassword(
+      "device code"
+    )}" SequenceNumber="42" />
+  </Devices>
+</Keyring>`;
+
+describe("KnxKeyring", () => {
+  const keyring = KnxKeyring.parse(XML, PASSWORD);
+
+  it("reads the project information", () => {
+    assert.strictEqual(keyring.project, "Test & Co");
+    assert.strictEqual(keyring.createdBy, "ETS 5.7.5");
+  });
+
+  it("decrypts the backbone key", () => {
+    assert.deepStrictEqual(keyring.secureRouting(), {
+      backboneKey: BACKBONE_KEY,
+      latencyTolerance: 1000,
+    });
+  });
+
+  it("decrypts tunnel credentials, falling back to the host's code", () => {
+    assert.deepStrictEqual(keyring.secureTunnel("1.1.5"), {
+      userId: 3,
+      userPassword: "tunnel password",
+      deviceAuthenticationCode: "device code",
+    });
+    assert.deepStrictEqual(keyring.secureTunnel("1.1.6"), {
+      userId: 4,
+      userPassword: "other password",
+      deviceAuthenticationCode: "interface code",
+    });
+    assert.throws(() => keyring.secureTunnel("1.1.7"), /No tunnel interface/);
+  });
+
+  it("decrypts the group keys, not the senders below an interface", () => {
+    assert.deepStrictEqual(keyring.dataSecure(), {
+      groupKeys: { "1/2/1": GROUP_KEY },
+      sequenceNumbers: { "1.1.0": 42 },
+    });
+  });
+
+  it("rejects a wrong password", () => {
+    assert.throws(
+      () => KnxKeyring.parse(XML, "wrong password"),
+      /Invalid keyring password/
+    );
+  });
+
+  it("rejects documents that are no keyring", () => {
+    assert.throws(
+      () => KnxKeyring.parse("<Project />", PASSWORD),
+      /Not an ETS keyring/
+    );
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require("assert");
+
+const { QueueFullError } = require("../src/KnxErrors");
+const KnxOutboundQueue = require("../src/KnxOutboundQueue");
+
+// cEMI priorities
+const SYSTEM = 0;
+const NORMAL = 1;
+const URGENT = 2;
+const LOW = 3;
+
+const drain = (queue) => {
+  const requests = [];
+  let request;
+  while ((request = queue.shift()) !== null) requests.push(request);
+  return requests;
+};
+
+describe("KnxOutboundQueue", () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new KnxOutboundQueue({ maxQueueLength: 10 });
+  });
+
+  afterEach(() => queue.clear());
+
+  it("serves the most urgent lane first, oldest first within a lane", () => {
+    queue.push(1, "low", LOW);
+    queue.push(2, "normal 1", NORMAL);
+    queue.push(3, "urgent", URGENT);
+    queue.push(4, "normal 2", NORMAL);
+    queue.push(5, "system", SYSTEM);
+    assert.deepStrictEqual(queue.stats().lanes, {
+      system: 1,
+      urgent: 1,
+      normal: 2,
+      low: 1,
+    });
+    assert.deepStrictEqual(drain(queue), [
+      "system",
+      "urgent",
+      "normal 1",
+      "normal 2",
+      "low",
+    ]);
+    assert.strictEqual(queue.stats().dispatched, 5);
+  });
+
+  it("rejects requests beyond its maximum length", () => {
+    queue = new KnxOutboundQueue({ maxQueueLength: 2 });
+    queue.push(1, "a", NORMAL);
+    queue.push(2, "b", NORMAL);
+    assert.throws(() => queue.push(3, "c", SYSTEM), QueueFullError);
+    assert.strictEqual(queue.length, 2);
+    assert.strictEqual(queue.stats().rejected, 1);
+  });
+
+  it("replaces a waiting request in place", () => {
+    queue.push(1, { ga: "1/1/1", value: 1 }, NORMAL);
+    queue.push(2, { ga: "1/1/2", value: 1 }, NORMAL);
+    const replaced = queue.replace((request) => request.ga === "1/1/1", 3, {
+      ga: "1/1/1",
+      value: 2,
+    });
+    assert.deepStrictEqual(replaced, { ga: "1/1/1", value: 1 });
+    assert.strictEqual(
+      queue.replace(() => false, 4, {}),
+      null
+    );
+    assert.deepStrictEqual([...queue.ids()], [3, 2]);
+    assert.deepStrictEqual(drain(queue), [
+      { ga: "1/1/1", value: 2 },
+      { ga: "1/1/2", value: 1 },
+    ]);
+    assert.strictEqual(queue.stats().replaced, 1);
+  });
+
+  it("removes and clears waiting requests", () => {
+    queue.push(1, "a", NORMAL);
+    queue.push(2, "b", LOW);
+    queue.push(3, "c", NORMAL);
+    queue.remove(1);
+    assert.deepStrictEqual([...queue.ids()], [3, 2]);
+    assert.deepStrictEqual(queue.clear(), ["c", "b"]);
+    assert.strictEqual(queue.length, 0);
+    assert.strictEqual(queue.shift(), null);
+  });
+
+  it("limits the telegram rate and signals when the next one is due", (done) => {
+    queue = new KnxOutboundQueue({
+      maxQueueLength: 10,
+      telegramsPerSecond: 50,
+    });
+    queue.push(1, "a", NORMAL);
+    queue.push(2, "b", NORMAL);
+    assert.strictEqual(queue.shift(), "a");
+    assert.strictEqual(queue.shift(), null);
+    queue.once("ready", () => {
+      assert.strictEqual(queue.shift(), "b");
+      done();
+    });
+  });
+
+  it("hands out nothing while paused", (done) => {
+    queue.push(1, "a", URGENT);
+    queue.pause(30);
+    assert.strictEqual(queue.shift(), null);
+    queue.once("ready", () => {
+      assert.strictEqual(queue.shift(), "a");
+      done();
+    });
+  });
+});
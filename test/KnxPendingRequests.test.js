@@ -0,0 +1,112 @@
+const assert = require("assert");
+
+const KnxPendingRequests = require("../src/KnxPendingRequests");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("KnxPendingRequests", () => {
+  let pending;
+
+  beforeEach(() => {
+    pending = new KnxPendingRequests();
+  });
+
+  afterEach(() => pending.abort(new Error("done")));
+
+  it("times requests out, at most a tick late", async () => {
+    const started = Date.now();
+    const fired = [];
+    [60, 20, 40].forEach((timeout) =>
+      pending.add({
+        uuid: "uuid" + timeout,
+        timeout,
+        onTimeout: () => fired.push([timeout, Date.now() - started]),
+      })
+    );
+    await delay(120);
+    assert.deepStrictEqual(
+      fired.map(([timeout]) => timeout),
+      [20, 40, 60]
+    );
+    fired.forEach(([timeout, elapsed]) => assert.ok(elapsed >= timeout));
+  });
+
+  it("does not time out removed requests", async () => {
+    const entry = pending.add({
+      uuid: "uuid",
+      timeout: 20,
+      onTimeout: () => assert.fail("timed out"),
+    });
+    assert.strictEqual(pending.size, 1);
+    pending.remove(entry);
+    pending.remove(entry);
+    assert.strictEqual(pending.size, 0);
+    await delay(50);
+  });
+
+  it("dispatches acks, confirmations and responses", () => {
+    const events = [];
+    const entry = pending.add({
+      uuid: "uuid",
+      onAck: (response) => events.push(["ack", response]),
+      onConfirmation: (success) => events.push(["con", success]),
+      response: "GroupValue_Response_1/2/3",
+      onResponse: (...args) => events.push(["response", ...args]),
+    });
+    pending.ack("other", 1);
+    pending.ack("uuid", 2);
+    pending.confirm("uuid", true);
+    pending.respond("GroupValue_Response_1/2/4", 3);
+    pending.respond("GroupValue_Response_1/2/3", 4, 5);
+    pending.remove(entry);
+    pending.ack("uuid", 6);
+    assert.deepStrictEqual(events, [
+      ["ack", 2],
+      ["con", true],
+      ["response", 4, 5],
+    ]);
+  });
+
+  it("answers every request waiting for the same response", () => {
+    const values = [];
+    [1, 2].forEach((i) => {
+      const entry = pending.add({
+        uuid: "uuid" + i,
+        response: "GroupValue_Response_1/2/3",
+        onResponse: (value) => {
+          values.push([i, value]);
+          pending.remove(entry);
+        },
+      });
+    });
+    pending.respond("GroupValue_Response_1/2/3", 42);
+    assert.deepStrictEqual(values, [
+      [1, 42],
+      [2, 42],
+    ]);
+    assert.strictEqual(pending.size, 0);
+  });
+
+  it("aborts all but the kept requests", () => {
+    const error = new Error("closed");
+    const acks = [];
+    const add = (uuid, request) =>
+      pending.add(Object.assign({ uuid }, request));
+    const ackEntry = add("acked", {
+      onAck: (err) => {
+        acks.push(err);
+        pending.remove(ackEntry);
+      },
+    });
+    const kept = add("kept", { onAck: () => assert.fail("aborted") });
+    add("response", {
+      response: "GroupValue_Response_1/2/3",
+      onResponse: () => assert.fail("answered"),
+    });
+    pending.abort(error, new Set(["kept"]));
+    assert.deepStrictEqual(acks, [error]);
+    assert.strictEqual(pending.size, 1);
+    pending.respond("GroupValue_Response_1/2/3");
+    pending.remove(kept);
+  });
+});
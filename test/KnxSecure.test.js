@@ -0,0 +1,241 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const KnxSecure = require("../src/KnxSecure");
+const KnxSecureSession = require("../src/KnxSecureSession");
+
+const hex = (value) => Buffer.from(value.replace(/\s/g, ""), "hex");
+
+// raw X25519 private key as a KeyObject
+const privateKey = (raw) =>
+  crypto.createPrivateKey({
+    key: Buffer.concat([hex("302e020100300506032b656e04220420"), hex(raw)]),
+    format: "der",
+    type: "pkcs8",
+  });
+
+// the session establishment example of the KNXnet/IP Secure specification
+const SPEC = {
+  clientPrivateKey:
+    "b8fabd62665d8b9e8a9d8b1f4bca42c8c2789a6110f50e9dd785b3ede883f378",
+  clientPublicKey: hex(
+    "0aa227b4fd7a32319ba9960ac036ce0e5c4507b5ae55161f1078b1dcfb3cb631"
+  ),
+  serverPublicKey: hex(
+    "bdf099909923143ef0a5de0b3be3687bc5bd3cf5f9e6f901699cd870ec1ff824"
+  ),
+  sessionKey: hex("289426c2912535ba98279a4d1843c487"),
+  sessionResponse: hex(
+    "06100952003800 01" +
+      "bdf099909923143ef0a5de0b3be3687bc5bd3cf5f9e6f901699cd870ec1ff824" +
+      "a922505aaa436163570bd5494c2df2a3"
+  ),
+  sessionAuthenticate: hex(
+    "06100953001800 01 1f1d59ea9f12a152e5d9727f08462cde"
+  ),
+  secureWrapper: hex(
+    "06100950003e 0001 000000000000 00fa12345678 affe" +
+      "7915a4f36e6e4208d28b4a207d8f35c0d138c26a7b5e7169" +
+      "52dba8e7e4bd80bd7d868a3ae78749de"
+  ),
+};
+
+describe("KnxSecure", () => {
+  it("derives the user password key", () => {
+    assert.deepStrictEqual(
+      KnxSecure.deriveUserPassword("secret"),
+      hex("03fcedb66660251ec81a1a716901696a")
+    );
+  });
+
+  it("derives the device authentication key", () => {
+    assert.deepStrictEqual(
+      KnxSecure.deriveDeviceAuthenticationCode("trustme"),
+      hex("e158e4012047bd6cc41aafbc5c04c1fc")
+    );
+  });
+
+  it("derives the session key from the X25519 key exchange", () => {
+    assert.deepStrictEqual(
+      KnxSecure.sessionKey(
+        privateKey(SPEC.clientPrivateKey),
+        SPEC.serverPublicKey
+      ),
+      SPEC.sessionKey
+    );
+  });
+
+  it("agrees with AES-128-CCM for standard B0 and counter blocks", () => {
+    const key = hex("000102030405060708090a0b0c0d0e0f");
+    const nonce = hex("101112131415161718191a1b1c");
+    // unlike CCM, KNX does not pad the additional data to a full block;
+    // with its length field it takes exactly one here
+    const additionalData = hex("06100950003e0001000000000000");
+    const plaintext = Buffer.from("KNXnet/IP Secure test payload");
+    // flags: additional data, 16 byte MAC, 2 byte length field
+    const block0 = Buffer.concat([
+      Buffer.from([0x79]),
+      nonce,
+      KnxSecure.uint16(plaintext.length),
+    ]);
+    const counter0 = Buffer.concat([Buffer.from([0x01]), nonce, hex("0000")]);
+
+    const macCbc = KnxSecure.cbcMac(key, additionalData, plaintext, block0);
+    const { mac, payload } = KnxSecure.ctr(key, counter0, macCbc, plaintext);
+
+    const cipher = crypto.createCipheriv("aes-128-ccm", key, nonce, {
+      authTagLength: 16,
+    });
+    cipher.setAAD(additionalData, { plaintextLength: plaintext.length });
+    const expected = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    assert.deepStrictEqual(payload, expected);
+    assert.deepStrictEqual(mac, cipher.getAuthTag());
+  });
+
+  it("wraps a frame like the specification example", () => {
+    const secure = KnxSecure.wrap(
+      SPEC.sessionKey,
+      1,
+      KnxSecure.uint48(0),
+      hex("00fa12345678"),
+      0xaffe,
+      SPEC.sessionAuthenticate
+    );
+    assert.deepStrictEqual(secure.payload, SPEC.secureWrapper.slice(22, -16));
+    assert.deepStrictEqual(secure.mac, SPEC.secureWrapper.slice(-16));
+  });
+
+  it("unwraps the specification example and rejects a modified one", () => {
+    const secure = {
+      sessionId: 1,
+      sequenceInfo: SPEC.secureWrapper.slice(8, 14),
+      serialNumber: SPEC.secureWrapper.slice(14, 20),
+      messageTag: 0xaffe,
+      payload: SPEC.secureWrapper.slice(22, -16),
+      mac: SPEC.secureWrapper.slice(-16),
+    };
+    const header = SPEC.secureWrapper.slice(0, 6);
+    assert.deepStrictEqual(
+      KnxSecure.unwrap(SPEC.sessionKey, header, secure),
+      SPEC.sessionAuthenticate
+    );
+
+    secure.payload = Buffer.from(secure.payload);
+    secure.payload[0] ^= 1;
+    assert.strictEqual(KnxSecure.unwrap(SPEC.sessionKey, header, secure), null);
+  });
+});
+
+describe("KnxSecureSession", () => {
+  let socket;
+  let session;
+
+  // the TCP socket, with the frames the session sent
+  const fakeSocket = () => {
+    const fake = new EventEmitter();
+    fake.sent = [];
+    fake.connect = () => fake;
+    fake.send = (buf, offset, length, port, addr, callback) => {
+      fake.sent.push(Buffer.from(buf.slice(offset, offset + length)));
+      if (callback) callback();
+    };
+    fake.close = () => {};
+    return fake;
+  };
+
+  // the frame inside a SECURE_WRAPPER sent by the session
+  const unwrapSent = (frame) =>
+    KnxSecure.unwrap(SPEC.sessionKey, frame.slice(0, 6), {
+      sessionId: frame.readUInt16BE(6),
+      sequenceInfo: frame.slice(8, 14),
+      serialNumber: frame.slice(14, 20),
+      messageTag: frame.readUInt16BE(20),
+      payload: frame.slice(22, -16),
+      mac: frame.slice(-16),
+    });
+
+  beforeEach(() => {
+    socket = fakeSocket();
+    session = new KnxSecureSession(socket, {
+      secureTunnel: {
+        userId: 1,
+        userPassword: "secret",
+        deviceAuthenticationCode: "trustme",
+        serialNumber: "00fa12345678",
+      },
+    });
+    session._keyPair = {
+      privateKey: privateKey(SPEC.clientPrivateKey),
+      publicKey: SPEC.clientPublicKey,
+    };
+  });
+
+  it("sends its public key in the SESSION_REQUEST", () => {
+    socket.emit("connect");
+    assert.strictEqual(socket.sent.length, 1);
+    assert.strictEqual(socket.sent[0].readUInt16BE(2), 0x0951);
+    assert.deepStrictEqual(socket.sent[0].slice(-32), SPEC.clientPublicKey);
+  });
+
+  it("authenticates with the specification's SESSION_AUTHENTICATE", () => {
+    session.on("error", (err) => assert.fail(err));
+    socket.emit("message", SPEC.sessionResponse, {});
+    assert.strictEqual(socket.sent.length, 1);
+    assert.strictEqual(socket.sent[0].readUInt16BE(2), 0x0950);
+    assert.deepStrictEqual(
+      unwrapSent(socket.sent[0]),
+      SPEC.sessionAuthenticate
+    );
+  });
+
+  it("holds frames back until the session is authenticated", () => {
+    let authenticated = false;
+    session.on("authenticated", () => {
+      authenticated = true;
+    });
+    const frame = hex("06100420000a04010000");
+    session.send(frame, 0, frame.length);
+    socket.emit("message", SPEC.sessionResponse, {});
+    assert.strictEqual(socket.sent.length, 1);
+
+    const status = hex("0610095400080000");
+    const reply = KnxSecure.wrap(
+      SPEC.sessionKey,
+      1,
+      KnxSecure.uint48(0),
+      hex("00fa12345678"),
+      0,
+      status
+    );
+    socket.emit(
+      "message",
+      Buffer.concat([
+        KnxSecure.knxNetHeader(0x0950, 38 + status.length),
+        KnxSecure.uint16(reply.sessionId),
+        reply.sequenceInfo,
+        reply.serialNumber,
+        KnxSecure.uint16(reply.messageTag),
+        reply.payload,
+        reply.mac,
+      ]),
+      {}
+    );
+    session.close();
+
+    assert.ok(authenticated);
+    assert.deepStrictEqual(unwrapSent(socket.sent[1]), frame);
+  });
+
+  it("fails a SESSION_RESPONSE that does not authenticate the server", () => {
+    const errors = [];
+    session.on("error", (err) => errors.push(err.message));
+    const response = Buffer.from(SPEC.sessionResponse);
+    response[response.length - 1] ^= 1;
+    socket.emit("message", response, {});
+    assert.deepStrictEqual(errors, [
+      "SESSION_RESPONSE failed device authentication",
+    ]);
+    assert.strictEqual(socket.sent.length, 0);
+  });
+});
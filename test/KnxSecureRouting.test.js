@@ -0,0 +1,106 @@
+const assert = require("assert");
+const { EventEmitter } = require("events");
+
+const KnxSecure = require("../src/KnxSecure");
+const KnxSecureRouting = require("../src/KnxSecureRouting");
+
+const BACKBONE_KEY = "000102030405060708090a0b0c0d0e0f";
+const ENDPOINT = { addr: "224.0.23.12", port: 3671 };
+const RINFO = { address: "192.0.2.1", port: 3671 };
+
+// a ROUTING_INDICATION with a GroupValue_Write to 1/2/3
+const FRAME = Buffer.from("061005300011290000bce011010a03010080", "hex");
+
+describe("KnxSecureRouting", () => {
+  let routers;
+
+  // multicast sockets that deliver to each other
+  const connect = (count) => {
+    const sockets = [];
+    for (let i = 0; i < count; i++) {
+      const socket = new EventEmitter();
+      socket.sent = [];
+      socket.send = (buf, offset, length) => {
+        const frame = Buffer.from(buf.slice(offset, offset + length));
+        socket.sent.push(frame);
+        sockets
+          .filter((other) => other !== socket)
+          .forEach((other) => other.emit("message", frame, RINFO));
+      };
+      socket.close = () => {};
+      sockets.push(socket);
+    }
+    routers = sockets.map(
+      (socket) =>
+        new KnxSecureRouting(
+          socket,
+          { secureRouting: { backboneKey: BACKBONE_KEY } },
+          ENDPOINT
+        )
+    );
+    // the TIMER_NOTIFY of each one synchronises the others
+    sockets.forEach((socket) => socket.emit("listening"));
+    return sockets;
+  };
+
+  // a SECURE_WRAPPER as another router would send it
+  const wrapped = (timer, frame = FRAME) => {
+    const secure = KnxSecure.wrap(
+      KnxSecure.toKey(BACKBONE_KEY),
+      0,
+      KnxSecure.uint48(timer),
+      Buffer.from("00fa00000001", "hex"),
+      0,
+      frame
+    );
+    return Buffer.concat([
+      KnxSecure.knxNetHeader(0x0950, 38 + frame.length),
+      KnxSecure.uint16(0),
+      secure.sequenceInfo,
+      secure.serialNumber,
+      KnxSecure.uint16(secure.messageTag),
+      secure.payload,
+      secure.mac,
+    ]);
+  };
+
+  afterEach(() => routers.forEach((router) => router.close()));
+
+  it("delivers frames between synchronised routers", () => {
+    const sockets = connect(2);
+    const received = [];
+    routers[1].on("message", (frame) => received.push(frame));
+    routers[0].send(FRAME, 0, FRAME.length, ENDPOINT.port, ENDPOINT.addr);
+    assert.deepStrictEqual(received, [FRAME]);
+    assert.strictEqual(sockets[0].sent.pop().readUInt16BE(2), 0x0950);
+  });
+
+  it("never sends the same timer value twice", () => {
+    const sockets = connect(2);
+    sockets[0].sent = [];
+    for (let i = 0; i < 10; i++) {
+      routers[0].send(FRAME, 0, FRAME.length, ENDPOINT.port, ENDPOINT.addr);
+    }
+    const timers = sockets[0].sent.map((frame) => frame.readUIntBE(8, 6));
+    timers.slice(1).forEach((timer, i) => assert.ok(timer > timers[i]));
+  });
+
+  it("drops frames that fail authentication", () => {
+    const sockets = connect(1);
+    const drops = [];
+    routers[0].on("drop", (reason) => drops.push(reason));
+    routers[0].on("message", () => assert.fail("delivered"));
+    const frame = wrapped(routers[0].timer);
+    frame[frame.length - 1] ^= 1;
+    sockets[0].emit("message", frame, RINFO);
+    assert.deepStrictEqual(drops, ["authentication failed"]);
+  });
+
+  it("drops frames older than the latency tolerance", () => {
+    const sockets = connect(2);
+    const drops = [];
+    routers[1].on("drop", (reason) => drops.push(reason));
+    sockets[1].emit("message", wrapped(routers[1].timer - 5000), RINFO);
+    assert.deepStrictEqual(drops, ["timer outside latency tolerance"]);
+  });
+});
@@ -0,0 +1,2 @@
+// the first call configures the shared logger: keep test output readable
+require("../src/KnxLog").get({ loglevel: "error" });